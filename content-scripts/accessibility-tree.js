@@ -320,6 +320,7 @@
         if (!weakRef) {
           return {
             error: `Element with ref_id '${refId}' not found. It may have been removed from the page. Use read_page without ref_id to get the current page state.`,
+            errorCode: 'ELEMENT_NOT_FOUND',
             pageContent: '',
             viewport: { width: window.innerWidth, height: window.innerHeight }
           };
@@ -328,6 +329,7 @@
         if (!startElement) {
           return {
             error: `Element with ref_id '${refId}' no longer exists. It may have been removed from the page. Use read_page without ref_id to get the current page state.`,
+            errorCode: 'ELEMENT_STALE',
             pageContent: '',
             viewport: { width: window.innerWidth, height: window.innerHeight }
           };
@@ -361,6 +363,8 @@
         }
         return {
           error: errorMsg,
+          errorCode: 'OUTPUT_TOO_LARGE',
+          errorDetails: { length: content.length, limit: 50000 },
           pageContent: '',
           viewport: { width: window.innerWidth, height: window.innerHeight }
         };
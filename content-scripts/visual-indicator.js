@@ -8,6 +8,16 @@
 
   let indicatorElement = null;
   let stopButtonElement = null;
+  let approvalElement = null;
+  let connectionElement = null;
+
+  // Native host connection state -> label and dot color
+  const CONNECTION_LABELS = {
+    connecting: { text: 'Connecting to Claude Code...', color: '#ff9800' },
+    verified: { text: 'Connected to Claude Code', color: '#4caf50' },
+    degraded: { text: 'Claude Code connection degraded', color: '#ff9800' },
+    disconnected: { text: 'Claude Code disconnected', color: '#f44336' }
+  };
 
   /**
    * Show the visual indicator (glow border)
@@ -112,12 +122,63 @@
     }
   }
 
+  /**
+   * Show or update the native host connection status below the stop button
+   */
+  function showConnectionStatus(state) {
+    const label = CONNECTION_LABELS[state];
+    if (!label) return;
+
+    if (!connectionElement) {
+      connectionElement = document.createElement('div');
+      connectionElement.id = '__claude_connection_status';
+      connectionElement.style.cssText = `
+        position: fixed !important;
+        top: 48px !important;
+        right: 10px !important;
+        z-index: 2147483647 !important;
+        padding: 4px 10px !important;
+        background: rgba(26, 26, 26, 0.9) !important;
+        color: white !important;
+        border-radius: 4px !important;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif !important;
+        font-size: 12px !important;
+        pointer-events: none !important;
+      `;
+      document.body.appendChild(connectionElement);
+    }
+
+    connectionElement.innerHTML = '';
+    const dot = document.createElement('span');
+    dot.style.cssText = `
+      display: inline-block !important;
+      width: 8px !important;
+      height: 8px !important;
+      margin-right: 6px !important;
+      border-radius: 50% !important;
+      background: ${label.color} !important;
+    `;
+    connectionElement.appendChild(dot);
+    connectionElement.appendChild(document.createTextNode(label.text));
+  }
+
+  /**
+   * Hide the connection status
+   */
+  function hideConnectionStatus() {
+    if (connectionElement) {
+      connectionElement.remove();
+      connectionElement = null;
+    }
+  }
+
   /**
    * Hide all indicators
    */
   function hideAll() {
     hideIndicator();
     hideStopButton();
+    hideConnectionStatus();
   }
 
   /**
@@ -163,21 +224,157 @@
     setTimeout(() => indicator.remove(), 500);
   }
 
+  /**
+   * Show approval dialog with Approve / Deny / Always allow buttons
+   * The dialog lives in a closed shadow root and only takes trusted clicks, so
+   * page scripts can neither find its buttons nor click them
+   */
+  function showApprovalDialog(message, domain, timeoutMs, onDecision) {
+    hideApprovalDialog();
+
+    approvalElement = document.createElement('div');
+    approvalElement.id = '__claude_approval_dialog';
+    const shadow = approvalElement.attachShadow({ mode: 'closed' });
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed !important;
+      top: 20px !important;
+      left: 50% !important;
+      transform: translateX(-50%) !important;
+      z-index: 2147483647 !important;
+      width: 360px !important;
+      padding: 16px !important;
+      background: #242424 !important;
+      color: white !important;
+      border: 2px solid #FF6B35 !important;
+      border-radius: 8px !important;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif !important;
+      font-size: 14px !important;
+      line-height: 1.4 !important;
+      box-shadow: 0 4px 16px rgba(0,0,0,0.4) !important;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Claude needs your approval';
+    title.style.cssText = 'font-weight: 600 !important; margin-bottom: 8px !important;';
+
+    const text = document.createElement('div');
+    text.textContent = message;
+    text.style.cssText = 'margin-bottom: 4px !important;';
+
+    const countdown = document.createElement('div');
+    countdown.style.cssText = 'color: #a0a0a0 !important; font-size: 12px !important; margin-bottom: 12px !important;';
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex !important; gap: 8px !important; flex-wrap: wrap !important;';
+
+    const choices = [
+      { decision: 'approve', label: 'Approve', background: '#FF6B35' },
+      { decision: 'deny', label: 'Deny', background: '#3d3d3d' }
+    ];
+    if (domain) {
+      choices.push({ decision: 'always_allow', label: `Always allow for ${domain}`, background: '#3d3d3d' });
+    }
+
+    for (const choice of choices) {
+      const button = document.createElement('button');
+      button.textContent = choice.label;
+      button.style.cssText = `
+        padding: 6px 12px !important;
+        background: ${choice.background} !important;
+        color: white !important;
+        border: none !important;
+        border-radius: 4px !important;
+        font-size: 13px !important;
+        cursor: pointer !important;
+      `;
+      button.addEventListener('click', (event) => {
+        if (!event.isTrusted) return;
+        hideApprovalDialog();
+        onDecision(choice.decision);
+      });
+      buttons.appendChild(button);
+    }
+
+    dialog.append(title, text, countdown, buttons);
+    shadow.appendChild(dialog);
+    document.body.appendChild(approvalElement);
+
+    // Show remaining time; the service worker enforces the actual timeout
+    const deadline = Date.now() + timeoutMs;
+    const updateCountdown = () => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      countdown.textContent = `Denied automatically in ${remaining}s`;
+    };
+    updateCountdown();
+    approvalElement.__countdownTimer = setInterval(updateCountdown, 1000);
+  }
+
+  /**
+   * Hide approval dialog
+   */
+  function hideApprovalDialog() {
+    if (approvalElement) {
+      clearInterval(approvalElement.__countdownTimer);
+      approvalElement.remove();
+      approvalElement = null;
+    }
+  }
+
   // Listen for messages from service worker
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'show_indicator':
         showIndicator(message.color);
-        if (message.showStopButton) {
-          showStopButton(() => {
-            chrome.runtime.sendMessage({ type: 'stop_requested' });
-          });
+        if (message.connectionState) {
+          showConnectionStatus(message.connectionState);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'connection_state':
+        if (indicatorElement || stopButtonElement) {
+          showConnectionStatus(message.state);
         }
         sendResponse({ success: true });
         break;
 
       case 'hide_indicator':
-        hideAll();
+        // The stop button (and the status under it) stays while the session controls the tab
+        hideIndicator();
+        if (!stopButtonElement) {
+          hideConnectionStatus();
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'show_stop_button':
+        showStopButton(() => {
+          chrome.runtime.sendMessage({ type: 'stop_requested' });
+        });
+        if (message.connectionState) {
+          showConnectionStatus(message.connectionState);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'hide_stop_button':
+        hideStopButton();
+        if (!indicatorElement) {
+          hideConnectionStatus();
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'show_approval':
+        showApprovalDialog(message.message, message.domain, message.timeoutMs, (decision) => {
+          sendResponse({ decision });
+        });
+        break;
+
+      case 'hide_approval':
+        hideApprovalDialog();
         sendResponse({ success: true });
         break;
 
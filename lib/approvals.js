@@ -0,0 +1,221 @@
+/**
+ * Approval Prompts
+ * Pauses tool calls that need user consent and asks Approve / Deny / Always allow,
+ * using an in-page dialog or a desktop notification when no dialog can be shown
+ */
+
+import {
+  MAX_APPROVAL_TIMEOUT_SECONDS,
+  getSettings,
+  requiresApproval,
+  addApprovedDomain,
+  getDomainFromUrl
+} from './permissions.js';
+import { ToolError } from './errors.js';
+
+// Deadline for tools that wait for a user decision up to the approval timeout
+// (update_plan, tabs_adopt): the longest timeout the options page allows, plus a minute
+export const USER_DECISION_TOOL_TIMEOUT_MS = (MAX_APPROVAL_TIMEOUT_SECONDS + 60) * 1000;
+
+// Pending notification prompts: notificationId -> resolve(decision)
+const pendingNotificationPrompts = new Map();
+
+let notificationCounter = 0;
+
+/**
+ * Error raised when the user denies (or does not answer) an approval prompt
+ */
+export class ApprovalDeniedError extends ToolError {
+  constructor(action, domain, decision) {
+    super('APPROVAL_DENIED',
+      decision === 'timeout'
+        ? `Approval for ${action} on ${domain || 'this page'} timed out`
+        : `User denied ${action} on ${domain || 'this page'}`,
+      { details: { action, domain, decision } });
+    this.name = 'ApprovalDeniedError';
+  }
+}
+
+/**
+ * Initialize notification listeners used by the fallback prompt
+ */
+export function initApprovalListeners() {
+  chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    const resolve = pendingNotificationPrompts.get(notificationId);
+    if (!resolve) return;
+
+    resolve(buttonIndex === 0 ? 'approve' : 'deny');
+    chrome.notifications.clear(notificationId);
+  });
+
+  chrome.notifications.onClosed.addListener((notificationId) => {
+    const resolve = pendingNotificationPrompts.get(notificationId);
+    if (resolve) {
+      resolve('deny');
+    }
+  });
+}
+
+/**
+ * Map a tool call to the action name used by requiresApproval(), or null
+ */
+function getApprovalAction(tool, args) {
+  switch (tool) {
+    case 'computer':
+      return args.action;
+    case 'form_input':
+      return 'form_input';
+    case 'navigate':
+      return 'navigate';
+    case 'tabs_create_mcp':
+      return args.url ? 'navigate' : null;
+    case 'gif_creator':
+      return args.action === 'export' && args.download ? 'download' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe the pending action for the prompt text
+ */
+function describeAction(action, args, targetDomain) {
+  switch (action) {
+    case 'navigate':
+      return `navigate to ${targetDomain || args.url}`;
+    case 'form_input':
+      return 'fill in a form field';
+    case 'type':
+      return 'type text into the page';
+    case 'download':
+      return `download ${args.filename || 'a recording'}`;
+    default:
+      return `perform a ${action.replace(/_/g, ' ')}`;
+  }
+}
+
+/**
+ * Ensure a tool call is approved, prompting the user if settings require it
+ * Resolves when approved; throws ApprovalDeniedError on deny or timeout
+ *
+ * @param {string} tool - Tool name
+ * @param {object} args - Tool arguments
+ * @param {object} [options]
+ * @param {string} [options.targetUrl] - Normalized navigation target, for navigate
+ * @param {AbortSignal} [options.signal] - Dismisses the prompt when the call is aborted
+ */
+export async function ensureApproved(tool, args, options = {}) {
+  const action = getApprovalAction(tool, args);
+  if (!action) return;
+
+  const tab = args.tabId ? await chrome.tabs.get(args.tabId) : null;
+  const currentDomain = tab ? getDomainFromUrl(tab.url) : null;
+  const targetDomain = action === 'navigate'
+    ? (options.targetUrl ? getDomainFromUrl(options.targetUrl) : null)
+    : currentDomain;
+
+  const needsApproval = await requiresApproval(action, { currentDomain, targetDomain });
+  if (!needsApproval) return;
+
+  const settings = await getSettings();
+  const timeoutMs = settings.approval_timeout_seconds * 1000;
+  const message = `Claude wants to ${describeAction(action, args, targetDomain)}.`;
+
+  const decision = await promptUser(tab, { message, domain: targetDomain, timeoutMs }, options.signal);
+  options.signal?.throwIfAborted();
+
+  if (decision === 'always_allow' && targetDomain) {
+    await addApprovedDomain(targetDomain);
+    return;
+  }
+
+  if (decision !== 'approve' && decision !== 'always_allow') {
+    throw new ApprovalDeniedError(action, targetDomain, decision);
+  }
+}
+
+/**
+ * Ask the user, resolving to 'approve', 'deny', 'always_allow', 'timeout', or
+ * 'aborted' once the signal aborts
+ */
+async function promptUser(tab, prompt, signal) {
+  const notificationId = `approval_${Date.now()}_${++notificationCounter}`;
+
+  let timer;
+  let onAbort;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), prompt.timeoutMs);
+    onAbort = () => resolve('aborted');
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+  try {
+    // Prefer an in-page dialog when the user can actually see the tab
+    if (tab && tab.active) {
+      const decision = await Promise.race([promptInPage(tab.id, prompt), timeout]);
+
+      if (decision === 'timeout' || decision === 'aborted') {
+        chrome.tabs.sendMessage(tab.id, { type: 'hide_approval' }).catch(() => {});
+      }
+      if (decision !== null) {
+        return decision;
+      }
+      // Dialog could not be shown, fall through to notification
+    }
+
+    return await Promise.race([promptWithNotification(notificationId, prompt), timeout]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    if (pendingNotificationPrompts.delete(notificationId)) {
+      chrome.notifications.clear(notificationId);
+    }
+  }
+}
+
+/**
+ * Show the approval dialog in the page, resolving to null if it cannot be shown
+ */
+async function promptInPage(tabId, prompt) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'show_approval',
+      message: prompt.message,
+      domain: prompt.domain,
+      timeoutMs: prompt.timeoutMs
+    });
+    return response?.decision || null;
+  } catch (e) {
+    // Content script not available (e.g. chrome:// page)
+    return null;
+  }
+}
+
+/**
+ * Show the approval prompt as a desktop notification
+ * Notifications take at most two buttons, so Always allow is left to the in-page
+ * dialog; closing the notification denies as well
+ */
+function promptWithNotification(notificationId, prompt) {
+  return new Promise(resolve => {
+    pendingNotificationPrompts.set(notificationId, (decision) => {
+      pendingNotificationPrompts.delete(notificationId);
+      resolve(decision);
+    });
+
+    chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Claude needs your approval',
+      message: prompt.message,
+      contextMessage: 'Unanswered prompts are denied',
+      buttons: [{ title: 'Approve' }, { title: 'Deny' }],
+      requireInteraction: true,
+      priority: 2
+    }).catch(() => pendingNotificationPrompts.get(notificationId)?.('deny'));
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * Audit Log
+ * Persists every tool request and its outcome to IndexedDB
+ * Shared by the service worker (writes) and the options page (queries, export)
+ */
+
+import { getSettings, getDomainFromUrl } from './permissions.js';
+
+const DB_NAME = 'claude_audit_log';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Prune retention limits every this many writes
+const PRUNE_INTERVAL = 50;
+
+// Argument keys whose values are never logged
+const SENSITIVE_KEY_PATTERN = /password|passwd|secret|token|api[_-]?key|credential/i;
+const MAX_LOGGED_STRING_LENGTH = 500;
+
+// Free-text arguments per tool: typed text, form values and scripts can carry
+// secrets under any key, so only their length is logged
+const FREE_TEXT_ARGS = {
+  computer: ['text'],
+  form_input: ['value'],
+  javascript_tool: ['text']
+};
+
+// Arguments holding free-text values by name; shortcut parameters are filled into
+// the arguments above, so only the names and lengths are logged
+const FREE_TEXT_MAP_ARGS = {
+  shortcuts_execute: ['parameters']
+};
+
+let dbPromise = null;
+let writesSincePrune = 0;
+
+/**
+ * Open (and create/upgrade) the audit database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+      store.createIndex('tool', 'tool');
+      store.createIndex('domain', 'domain');
+      store.createIndex('outcome', 'outcome');
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Replace a free-text value with its length
+ */
+function redactText(value) {
+  return typeof value === 'string' ? `[redacted, ${value.length} chars]` : '[redacted]';
+}
+
+/**
+ * Copy tool arguments for logging, dropping secrets, free text and large payloads
+ * The steps of a batch are sanitized by their own tool
+ *
+ * @param {*} args - Tool arguments, or a value within them
+ * @param {string} [tool] - Tool the arguments are for
+ */
+export function sanitizeArgs(args, tool) {
+  if (tool && args && typeof args === 'object' && !Array.isArray(args)) {
+    const freeTextKeys = FREE_TEXT_ARGS[tool] || [];
+    const freeTextMapKeys = FREE_TEXT_MAP_ARGS[tool] || [];
+    const sanitized = {};
+    for (const [key, value] of Object.entries(args)) {
+      if (freeTextKeys.includes(key) && typeof value === 'string') {
+        sanitized[key] = redactText(value);
+      } else if (freeTextMapKeys.includes(key) && value && typeof value === 'object') {
+        sanitized[key] = Object.fromEntries(Object.entries(value).map(([name, text]) => [name, redactText(text)]));
+      } else if (tool === 'batch' && key === 'steps' && Array.isArray(value)) {
+        sanitized[key] = value.map(step => ({ ...sanitizeArgs(step), args: sanitizeArgs(step?.args, step?.tool) }));
+      } else {
+        sanitized[key] = SENSITIVE_KEY_PATTERN.test(key) ? '[redacted]' : sanitizeArgs(value);
+      }
+    }
+    return sanitized;
+  }
+
+  if (Array.isArray(args)) {
+    return args.map(value => sanitizeArgs(value));
+  }
+
+  if (args && typeof args === 'object') {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(args)) {
+      sanitized[key] = SENSITIVE_KEY_PATTERN.test(key) ? '[redacted]' : sanitizeArgs(value);
+    }
+    return sanitized;
+  }
+
+  if (typeof args === 'string') {
+    if (args.startsWith('data:')) {
+      return `[data URL, ${args.length} chars]`;
+    }
+    if (args.length > MAX_LOGGED_STRING_LENGTH) {
+      return `${args.substring(0, MAX_LOGGED_STRING_LENGTH)}... [${args.length} chars]`;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Classify an error into an audit outcome
+ */
+export function getOutcomeForError(error) {
+  switch (error?.code) {
+    case 'DOMAIN_BLOCKED':
+    case 'APPROVAL_DENIED':
+    case 'PLAN_DOMAIN_NOT_ALLOWED':
+      return 'denied';
+    case 'STOPPED_BY_USER':
+      return 'stopped';
+    case 'TIMEOUT':
+      return 'timeout';
+    default:
+      return 'error';
+  }
+}
+
+/**
+ * Record a handled tool request
+ *
+ * @param {object} entry
+ * @param {string} entry.requestId
+ * @param {string} entry.tool
+ * @param {object} entry.args - Raw arguments (sanitized here)
+ * @param {string|null} entry.tabUrl - URL of the target tab when the call started
+ * @param {number} entry.startedAt - Start time (ms since epoch)
+ * @param {string} entry.outcome - 'success', 'error', 'denied', 'stopped' or 'timeout'
+ * @param {object} [entry.error] - Error message and code for failures
+ */
+export async function recordToolCall(entry) {
+  const settings = await getSettings();
+  if (!settings.audit_log_enabled) return;
+
+  const record = {
+    timestamp: entry.startedAt,
+    requestId: entry.requestId || null,
+    tool: entry.tool,
+    args: sanitizeArgs(entry.args || {}, entry.tool),
+    tabUrl: entry.tabUrl || null,
+    domain: entry.tabUrl ? getDomainFromUrl(entry.tabUrl) : null,
+    durationMs: Date.now() - entry.startedAt,
+    outcome: entry.outcome,
+    error: entry.error || null
+  };
+
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  await promisifyRequest(tx.objectStore(STORE_NAME).add(record));
+
+  if (++writesSincePrune >= PRUNE_INTERVAL) {
+    writesSincePrune = 0;
+    await pruneAuditLog();
+  }
+}
+
+/**
+ * Apply retention limits (maximum age and maximum entry count)
+ */
+export async function pruneAuditLog() {
+  const settings = await getSettings();
+  const db = await openDatabase();
+
+  const cutoff = Date.now() - settings.audit_log_retention_days * 86400000;
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  const index = store.index('timestamp');
+
+  // Drop entries past the retention window
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Then the oldest entries beyond the count limit
+  let excess = (await promisifyRequest(store.count())) - settings.audit_log_max_entries;
+  if (excess <= 0) return;
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || excess <= 0) return resolve();
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Query the audit log, newest first
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.domain] - Substring of the tab's domain
+ * @param {string} [filters.tool] - Exact tool name
+ * @param {string} [filters.outcome] - Exact outcome
+ * @param {string} [filters.search] - Free text matched against tool, URL, args and error
+ * @param {number} [filters.limit] - Maximum entries to return
+ */
+export async function queryAuditLog(filters = {}) {
+  const { domain, tool, outcome, search, limit = 500 } = filters;
+  const searchLower = search?.toLowerCase();
+  const db = await openDatabase();
+  const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('timestamp');
+
+  const entries = [];
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || entries.length >= limit) return resolve();
+
+      const entry = cursor.value;
+      const matches = (!tool || entry.tool === tool)
+        && (!outcome || entry.outcome === outcome)
+        && (!domain || entry.domain?.includes(domain.toLowerCase()))
+        && (!searchLower || JSON.stringify(entry).toLowerCase().includes(searchLower));
+
+      if (matches) {
+        entries.push(entry);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  return entries;
+}
+
+/**
+ * Get the distinct tool names present in the log
+ */
+export async function getAuditLogTools() {
+  const db = await openDatabase();
+  const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('tool');
+
+  const names = [];
+  await new Promise((resolve, reject) => {
+    const request = index.openKeyCursor(null, 'nextunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      names.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  return names;
+}
+
+/**
+ * Export matching entries as JSONL (one JSON object per line), oldest first
+ */
+export async function exportAuditLog(filters = {}) {
+  const entries = await queryAuditLog({ ...filters, limit: Infinity });
+  return entries.reverse().map(entry => JSON.stringify(entry)).join('\n');
+}
+
+/**
+ * Delete every audit entry
+ */
+export async function clearAuditLog() {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  await promisifyRequest(tx.objectStore(STORE_NAME).clear());
+  return { success: true };
+}
@@ -0,0 +1,115 @@
+/**
+ * Cancellation Helpers
+ * AbortSignal utilities shared by tool handlers
+ */
+
+import { ToolError } from './errors.js';
+
+/**
+ * Error raised when a tool call exceeds its deadline
+ */
+export class ToolTimeoutError extends ToolError {
+  constructor(tool, timeoutMs, phase) {
+    super('TIMEOUT', `Tool "${tool}" timed out after ${timeoutMs}ms during phase "${phase}"`, {
+      details: { tool, timeoutMs, phase }
+    });
+    this.name = 'ToolTimeoutError';
+  }
+}
+
+/**
+ * Start a deadline that calls onExpire after ms, unless cleared first
+ * pause() stops the clock until the function it returns is called; pauses may
+ * overlap, and the clock runs again once all of them ended
+ *
+ * @returns {{ pause: Function, clear: Function }}
+ */
+export function startDeadline(ms, onExpire) {
+  let remaining = ms;
+  let startedAt = Date.now();
+  let timer = setTimeout(onExpire, ms);
+  let pauses = 0;
+  let cleared = false;
+
+  return {
+    pause() {
+      if (pauses++ === 0 && timer) {
+        clearTimeout(timer);
+        timer = null;
+        remaining -= Date.now() - startedAt;
+      }
+
+      let resumed = false;
+      return () => {
+        if (resumed) return;
+        resumed = true;
+        if (--pauses === 0 && !cleared) {
+          startedAt = Date.now();
+          timer = setTimeout(onExpire, Math.max(0, remaining));
+        }
+      };
+    },
+    clear() {
+      cleared = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Throw the signal's abort reason if it has been aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+}
+
+/**
+ * Sleep for the given time, rejecting early if the signal aborts
+ */
+export function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settle with the promise, or reject with the abort reason if the signal aborts first
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * CDP Event Bus
+ * Single chrome.debugger.onEvent dispatcher that modules subscribe to by tab and method
+ */
+
+// tabId -> Set of subscriptions
+const subscriptionsByTab = new Map();
+
+/**
+ * Initialize the dispatcher (call once at service worker startup)
+ */
+export function initCdpEventBus() {
+  chrome.debugger.onEvent.addListener(dispatch);
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    endTabSubscriptions(tabId, 'tab_closed');
+  });
+}
+
+/**
+ * Subscribe to CDP events of a tab
+ *
+ * @param {number} tabId - Tab to listen to
+ * @param {string|string[]} methods - CDP method name(s), or '*' for every event
+ * @param {Function} handler - Called with (method, params)
+ * @returns {{ active: boolean, unsubscribe: Function }} Subscription handle;
+ *   `active` turns false once unsubscribed, including when the tab closes or its
+ *   debugger session ends
+ */
+export function subscribeCdpEvents(tabId, methods, handler) {
+  const subscription = {
+    tabId,
+    methods: methods === '*' ? null : new Set([].concat(methods)),
+    handler,
+    active: true,
+    unsubscribe() {
+      if (!subscription.active) return;
+      subscription.active = false;
+
+      const subscriptions = subscriptionsByTab.get(tabId);
+      subscriptions?.delete(subscription);
+      if (subscriptions?.size === 0) {
+        subscriptionsByTab.delete(tabId);
+      }
+    }
+  };
+
+  if (!subscriptionsByTab.has(tabId)) {
+    subscriptionsByTab.set(tabId, new Set());
+  }
+  subscriptionsByTab.get(tabId).add(subscription);
+
+  return subscription;
+}
+
+/**
+ * End every subscription of a tab (tab closed or debugger session gone)
+ */
+export function endTabSubscriptions(tabId, reason) {
+  const subscriptions = subscriptionsByTab.get(tabId);
+  if (!subscriptions) return;
+
+  console.log(`[CDP] Ending ${subscriptions.size} subscription(s) for tab ${tabId}: ${reason}`);
+  for (const subscription of [...subscriptions]) {
+    subscription.unsubscribe();
+  }
+}
+
+/**
+ * Get active subscription counts, for diagnostics
+ */
+export function getCdpSubscriptionStats() {
+  const byTab = {};
+  let total = 0;
+
+  for (const [tabId, subscriptions] of subscriptionsByTab) {
+    byTab[tabId] = subscriptions.size;
+    total += subscriptions.size;
+  }
+
+  return { total, byTab };
+}
+
+/**
+ * Route a debugger event to the matching subscriptions
+ */
+function dispatch(source, method, params) {
+  const subscriptions = subscriptionsByTab.get(source.tabId);
+  if (!subscriptions) return;
+
+  for (const subscription of subscriptions) {
+    if (subscription.methods && !subscription.methods.has(method)) continue;
+
+    try {
+      subscription.handler(method, params);
+    } catch (error) {
+      console.error(`[CDP] Subscriber for ${method} failed:`, error);
+    }
+  }
+}
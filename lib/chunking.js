@@ -0,0 +1,202 @@
+/**
+ * Chunked Transfer
+ * Splits native messages that exceed the frame size limit into sequenced chunk
+ * frames, and reassembles chunked messages from the native host
+ *
+ * Contract: an oversized message is serialized to JSON and the string is cut into
+ * frames { type: 'chunk', transferId, seq, total, data }, seq = 0..total-1, sent
+ * in order. The receiver concatenates `data` in seq order and parses the result
+ * as the original message. Both sides only chunk when the other advertised the
+ * `chunking` capability in its hello.
+ */
+
+import { ToolError } from './errors.js';
+
+// Chrome drops native host messages over 1 MB; use the same limit both ways
+export const MAX_FRAME_BYTES = 1024 * 1024;
+
+// Characters of serialized JSON per chunk; at most 3 bytes each once encoded,
+// which leaves room for the frame envelope
+export const CHUNK_CHARS = 256 * 1024;
+
+// Largest message we will split or reassemble
+export const MAX_TRANSFER_BYTES = 64 * 1024 * 1024;
+
+// Incomplete inbound transfers are dropped after this long without a frame
+const TRANSFER_TIMEOUT_MS = 60000;
+
+// transferId -> { total, received, sizeBytes, parts, lastFrameAt }
+const inboundTransfers = new Map();
+
+const encoder = new TextEncoder();
+
+/**
+ * Error raised for a message that cannot be delivered within the size limits
+ */
+export class MessageTooLargeError extends ToolError {
+  constructor(sizeBytes, limitBytes, reason) {
+    super('MESSAGE_TOO_LARGE',
+      `Message of ${sizeBytes} bytes exceeds the ${limitBytes} byte limit${reason ? ` (${reason})` : ''}. ` +
+      'Reduce the payload, e.g. read a smaller part of the page or record a shorter GIF',
+      { details: { sizeBytes, limitBytes } });
+    this.name = 'MessageTooLargeError';
+  }
+}
+
+/**
+ * Error raised for a malformed or inconsistent chunk frame
+ */
+export class ChunkError extends ToolError {
+  constructor(message, transferId) {
+    super('CHUNK_INVALID', message, { details: { transferId } });
+    this.name = 'ChunkError';
+  }
+}
+
+/**
+ * Describe our chunking support for the hello message
+ */
+export function getChunkingCapability() {
+  return {
+    maxFrameBytes: MAX_FRAME_BYTES,
+    maxTransferBytes: MAX_TRANSFER_BYTES
+  };
+}
+
+/**
+ * Get the encoded size of a serialized message in bytes
+ */
+function getByteLength(text) {
+  return encoder.encode(text).length;
+}
+
+/**
+ * Turn a message into the frames to post
+ * Throws MessageTooLargeError rather than producing a frame Chrome would drop
+ *
+ * @param {object} message - Message to send
+ * @param {object} [options]
+ * @param {boolean} [options.chunking] - Whether the receiver reassembles chunk frames
+ * @returns {object[]} The message itself if it fits in one frame, chunk frames otherwise
+ */
+export function encodeMessage(message, { chunking = false } = {}) {
+  const serialized = JSON.stringify(message);
+  const sizeBytes = getByteLength(serialized);
+
+  if (sizeBytes <= MAX_FRAME_BYTES) {
+    return [message];
+  }
+  if (!chunking) {
+    throw new MessageTooLargeError(sizeBytes, MAX_FRAME_BYTES, 'native host does not support chunked transfer');
+  }
+  if (sizeBytes > MAX_TRANSFER_BYTES) {
+    throw new MessageTooLargeError(sizeBytes, MAX_TRANSFER_BYTES);
+  }
+
+  const parts = splitText(serialized, CHUNK_CHARS);
+  const transferId = crypto.randomUUID();
+
+  return parts.map((data, seq) => ({
+    type: 'chunk',
+    transferId,
+    seq,
+    total: parts.length,
+    data
+  }));
+}
+
+/**
+ * Cut text into parts of at most maxChars, never between the two halves of a
+ * surrogate pair (a lone half would be encoded as U+FFFD and corrupt the data)
+ */
+function splitText(text, maxChars) {
+  const parts = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    const lastCode = text.charCodeAt(end - 1);
+    if (end < text.length && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+      end--;
+    }
+    parts.push(text.slice(start, end));
+    start = end;
+  }
+
+  return parts;
+}
+
+/**
+ * Accept an inbound chunk frame
+ * Throws ChunkError for frames that do not fit the transfer they belong to
+ *
+ * @returns {object|null} The reassembled message once the last frame arrived, else null
+ */
+export function acceptChunk(frame) {
+  const { transferId, seq, total, data } = frame;
+  pruneStaleTransfers();
+
+  if (!transferId || !Number.isInteger(total) || total < 1 || typeof data !== 'string') {
+    throw new ChunkError('Malformed chunk frame', transferId ?? null);
+  }
+  if (!Number.isInteger(seq) || seq < 0 || seq >= total) {
+    throw new ChunkError(`Chunk ${seq} out of range for transfer of ${total}`, transferId);
+  }
+
+  let transfer = inboundTransfers.get(transferId);
+  if (!transfer) {
+    transfer = { total, received: 0, sizeBytes: 0, parts: new Array(total), lastFrameAt: 0 };
+    inboundTransfers.set(transferId, transfer);
+  }
+
+  if (transfer.total !== total) {
+    inboundTransfers.delete(transferId);
+    throw new ChunkError(`Chunk ${seq} announces ${total} frames, transfer has ${transfer.total}`, transferId);
+  }
+  if (transfer.parts[seq] !== undefined) {
+    inboundTransfers.delete(transferId);
+    throw new ChunkError(`Duplicate chunk ${seq}`, transferId);
+  }
+
+  transfer.sizeBytes += getByteLength(data);
+  if (transfer.sizeBytes > MAX_TRANSFER_BYTES) {
+    inboundTransfers.delete(transferId);
+    throw new MessageTooLargeError(transfer.sizeBytes, MAX_TRANSFER_BYTES, 'inbound transfer');
+  }
+
+  transfer.parts[seq] = data;
+  transfer.received++;
+  transfer.lastFrameAt = Date.now();
+
+  if (transfer.received < transfer.total) {
+    return null;
+  }
+
+  inboundTransfers.delete(transferId);
+  try {
+    return JSON.parse(transfer.parts.join(''));
+  } catch (error) {
+    throw new ChunkError(`Reassembled transfer is not valid JSON: ${error.message}`, transferId);
+  }
+}
+
+/**
+ * Drop inbound transfers that stopped receiving frames
+ */
+function pruneStaleTransfers() {
+  const cutoff = Date.now() - TRANSFER_TIMEOUT_MS;
+  for (const [transferId, transfer] of inboundTransfers) {
+    if (transfer.lastFrameAt < cutoff) {
+      console.warn(`[Chunking] Dropping incomplete transfer ${transferId} ` +
+        `(${transfer.received}/${transfer.total} frames)`);
+      inboundTransfers.delete(transferId);
+    }
+  }
+}
+
+/**
+ * Drop every incomplete inbound transfer (e.g. when the native host disconnects)
+ */
+export function resetTransfers() {
+  inboundTransfers.clear();
+}
@@ -0,0 +1,216 @@
+/**
+ * Debugger Session Manager
+ * Shares one reference-counted chrome.debugger attachment per tab between all tools
+ * Events are delivered through the CDP event bus (cdp-events.js)
+ */
+
+import { endTabSubscriptions } from './cdp-events.js';
+import { ToolError, toToolError } from './errors.js';
+import { measure } from './metrics.js';
+
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// tabId -> { refCount, attached, attaching, domains }
+const sessions = new Map();
+
+// Called with the tab ID when a tab's session ends
+const sessionEndListeners = new Set();
+
+/**
+ * Initialize debugger listeners (call once at service worker startup)
+ */
+export function initDebuggerSessions() {
+  chrome.debugger.onDetach.addListener(handleDetach);
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    endSession(tabId);
+  });
+}
+
+/**
+ * Get told when a tab's debugger session ends (last reference released, target
+ * closed or tab removed); references taken on it are gone with it
+ */
+export function onDebuggerSessionEnd(listener) {
+  sessionEndListeners.add(listener);
+}
+
+/**
+ * Drop a tab's session record and tell the listeners
+ */
+function endSession(tabId) {
+  if (!sessions.delete(tabId)) return;
+
+  for (const listener of sessionEndListeners) {
+    listener(tabId);
+  }
+}
+
+/**
+ * Get or create the session record for a tab
+ */
+function getSession(tabId) {
+  let session = sessions.get(tabId);
+  if (!session) {
+    session = {
+      refCount: 0,
+      attached: false,
+      attaching: null,
+      domains: new Set()
+    };
+    sessions.set(tabId, session);
+  }
+  return session;
+}
+
+/**
+ * Attach the debugger if it is not attached yet, re-enabling tracked domains
+ */
+async function ensureAttached(tabId, session) {
+  if (session.attached) return;
+
+  if (!session.attaching) {
+    session.attaching = (async () => {
+      await attachDebugger(tabId);
+      session.attached = true;
+
+      // Domains enabled before a detach have to be enabled again
+      for (const domain of session.domains) {
+        await chrome.debugger.sendCommand({ tabId }, `${domain}.enable`);
+      }
+    })().finally(() => {
+      session.attaching = null;
+    });
+  }
+
+  await session.attaching;
+}
+
+/**
+ * Attach chrome.debugger to a tab, explaining the usual conflict with DevTools
+ */
+async function attachDebugger(tabId) {
+  try {
+    await measure('debugger_attach', () => chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION));
+  } catch (error) {
+    const toolError = toToolError(error);
+    if (toolError.code === 'DEBUGGER_CONFLICT') {
+      throw new ToolError('DEBUGGER_CONFLICT',
+        `Another debugger is attached to tab ${tabId} (DevTools or another extension); close it and retry`,
+        { details: { tabId }, cause: error });
+    }
+    throw toolError;
+  }
+}
+
+/**
+ * Take a reference on the tab's debugger session, attaching if needed
+ */
+export async function acquireDebugger(tabId) {
+  const session = getSession(tabId);
+  session.refCount++;
+
+  try {
+    await ensureAttached(tabId, session);
+  } catch (error) {
+    session.refCount--;
+    if (session.refCount === 0) {
+      endSession(tabId);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop a reference on the tab's debugger session, detaching when it was the last
+ */
+export async function releaseDebugger(tabId) {
+  const session = sessions.get(tabId);
+  if (!session || session.refCount === 0) return;
+
+  session.refCount--;
+  if (session.refCount > 0) return;
+
+  endSession(tabId);
+  endTabSubscriptions(tabId, 'released');
+  if (session.attached) {
+    session.attached = false;
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch (e) {
+      // Already detached
+    }
+  }
+}
+
+/**
+ * Send a CDP command, re-attaching first if the debugger was detached meanwhile
+ * The caller must hold a reference (acquireDebugger)
+ */
+export async function sendDebuggerCommand(tabId, method, params) {
+  const session = sessions.get(tabId);
+  if (!session || session.refCount === 0) {
+    throw new ToolError('INTERNAL_ERROR', `No debugger session for tab ${tabId}`, { details: { tabId } });
+  }
+
+  await ensureAttached(tabId, session);
+  return measure('debugger_command', () => chrome.debugger.sendCommand({ tabId }, method, params));
+}
+
+/**
+ * Enable a CDP domain (e.g. 'Network') and keep it enabled across re-attaches
+ */
+export async function enableDebuggerDomain(tabId, domain) {
+  const session = sessions.get(tabId);
+  if (!session || session.refCount === 0) {
+    throw new ToolError('INTERNAL_ERROR', `No debugger session for tab ${tabId}`, { details: { tabId } });
+  }
+
+  const alreadyEnabled = session.domains.has(domain) && session.attached;
+  session.domains.add(domain);
+
+  await ensureAttached(tabId, session);
+  if (!alreadyEnabled) {
+    await chrome.debugger.sendCommand({ tabId }, `${domain}.enable`);
+  }
+}
+
+/**
+ * Get the number of tabs with an attached debugger
+ */
+export function getAttachedSessionCount() {
+  let count = 0;
+  for (const session of sessions.values()) {
+    if (session.attached) count++;
+  }
+  return count;
+}
+
+/**
+ * Handle debugger detach: re-attach sessions that are still in use
+ */
+function handleDetach(source, reason) {
+  const tabId = source.tabId;
+  const session = sessions.get(tabId);
+  if (!session) return;
+
+  session.attached = false;
+  console.log(`[Debugger] Detached from tab ${tabId}: ${reason}`);
+
+  if (reason === 'target_closed') {
+    endSession(tabId);
+    endTabSubscriptions(tabId, reason);
+    return;
+  }
+
+  // If the user dismissed the debugging infobar, wait for the next command
+  // to re-attach rather than fighting them immediately; subscribers start over then
+  if (reason === 'canceled_by_user' || session.refCount === 0) {
+    endTabSubscriptions(tabId, reason);
+    return;
+  }
+
+  ensureAttached(tabId, session).catch((error) => {
+    console.error(`[Debugger] Failed to re-attach to tab ${tabId}:`, error);
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Tool Errors
+ * Shared error type with stable codes, reported in tool_response as
+ * errorCode / errorDetails / retryable so the CLI does not have to match messages
+ */
+
+// Every code a tool_response can carry, and whether the same call, retried
+// unchanged, may succeed (a wait or a user action may be needed in between)
+const ERROR_CODES = {
+  // Request
+  INVALID_ARGUMENTS: false,
+  INVALID_REFERENCE: false,
+  UNKNOWN_TOOL: false,
+  PROTOCOL_MISMATCH: false,
+
+  // Tabs
+  TAB_NOT_FOUND: false,
+  TAB_NOT_IN_GROUP: false,
+  TAB_GROUP_FAILED: true,
+
+  // Page content
+  ELEMENT_NOT_FOUND: false,
+  ELEMENT_STALE: false,
+  ELEMENT_NOT_INTERACTABLE: false,
+  PAGE_NOT_ACCESSIBLE: false,
+  SCRIPT_FAILED: true,
+  JAVASCRIPT_ERROR: false,
+  OUTPUT_TOO_LARGE: false,
+
+  // Debugger
+  DEBUGGER_CONFLICT: true,
+  DEBUGGER_DETACHED: true,
+
+  // Tool state
+  NOT_FOUND: false,
+  INVALID_STATE: false,
+  MEDIA_FAILED: false,
+
+  // Policy
+  DOMAIN_BLOCKED: false,
+  APPROVAL_DENIED: false,
+  PLAN_DOMAIN_NOT_ALLOWED: false,
+  STOPPED_BY_USER: false,
+
+  // Transport and lifetime
+  TIMEOUT: true,
+  NATIVE_DISCONNECTED: true,
+  WORKER_RESTARTED: false,
+  MESSAGE_TOO_LARGE: false,
+  CHUNK_INVALID: true,
+
+  INTERNAL_ERROR: false
+};
+
+// Chrome API errors carry no code; these are told apart by their message
+const CHROME_ERROR_PATTERNS = [
+  { pattern: /No tab with id|The tab was closed|Frame with ID \d+ was removed/i, code: 'TAB_NOT_FOUND' },
+  { pattern: /Another debugger is already attached/i, code: 'DEBUGGER_CONFLICT' },
+  { pattern: /Detached while handling command|Debugger is not attached/i, code: 'DEBUGGER_DETACHED' },
+  { pattern: /Cannot access|cannot be scripted|Cannot attach to this target/i, code: 'PAGE_NOT_ACCESSIBLE' }
+];
+
+/**
+ * Error with a stable code, a retryable flag and a details object
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - One of the codes above
+   * @param {string} message - Human-readable explanation, ideally with what to do next
+   * @param {object} [options]
+   * @param {object} [options.details] - Structured data about the failure
+   * @param {boolean} [options.retryable] - Overrides the code's default
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { details = {}, retryable, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+    this.retryable = retryable ?? ERROR_CODES[code] ?? false;
+  }
+}
+
+/**
+ * Check whether a value is one of the codes above
+ */
+function isKnownCode(code) {
+  return typeof code === 'string' && Object.hasOwn(ERROR_CODES, code);
+}
+
+/**
+ * Turn anything thrown into a ToolError, classifying Chrome API errors
+ * A foreign `code` (e.g. a DOMException's number or Node's 'ECONNRESET') is
+ * ignored, so the error is classified by its message instead
+ */
+export function toToolError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  if (isKnownCode(error?.code)) {
+    return new ToolError(error.code, message, { details: error.details, cause: error });
+  }
+
+  const match = CHROME_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message));
+  return new ToolError(match ? match.code : 'INTERNAL_ERROR', message, { cause: error });
+}
+
+/**
+ * Get the error fields of a tool_response (or a failed batch step)
+ */
+export function serializeError(error) {
+  const toolError = toToolError(error);
+  return {
+    error: toolError.message,
+    errorCode: toolError.code,
+    errorDetails: toolError.details,
+    retryable: toolError.retryable
+  };
+}
+
+/**
+ * Get the result of chrome.scripting.executeScript, throwing a ToolError when the
+ * script did not run or returned { error, errorCode }
+ *
+ * @param {object[]} results - Return value of executeScript
+ * @param {string} description - What the script does, e.g. "get page text"
+ */
+export function getScriptResult(results, description) {
+  const result = results?.[0]?.result;
+
+  if (result === undefined || result === null) {
+    throw new ToolError('SCRIPT_FAILED', `Failed to ${description}: the script did not run in the page`);
+  }
+  if (result.error) {
+    const code = isKnownCode(result.errorCode) ? result.errorCode : 'SCRIPT_FAILED';
+    throw new ToolError(code, result.error, { details: result.errorDetails });
+  }
+
+  return result;
+}
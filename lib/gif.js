@@ -80,19 +80,17 @@
 
       this.running = true;
 
-      // Simple synchronous render (for demo purposes)
+      // Encodes on the calling thread, yielding between frames (for demo purposes)
       // Production should use Web Workers
-      try {
-        const blob = this._encode();
-        this.emit('finished', blob);
-      } catch (error) {
-        this.emit('error', error);
-      }
-
-      this.running = false;
+      this._encode()
+        .then(blob => this.emit('finished', blob))
+        .catch(error => this.emit('error', error))
+        .finally(() => {
+          this.running = false;
+        });
     }
 
-    _encode() {
+    async _encode() {
       const encoder = new GIFEncoder(this.options.width, this.options.height);
       encoder.setRepeat(0); // Loop forever
       encoder.setQuality(this.options.quality);
@@ -103,9 +101,14 @@
 
       encoder.start();
 
-      for (const frame of this.frames) {
+      for (let i = 0; i < this.frames.length; i++) {
+        const frame = this.frames[i];
         encoder.setDelay(frame.delay);
         encoder.addFrame(frame.data, frame.width, frame.height);
+
+        // Same event as gif.js: fraction of frames encoded
+        this.emit('progress', (i + 1) / this.frames.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
       }
 
       encoder.finish();
@@ -0,0 +1,207 @@
+/**
+ * Tab Group Cleanup
+ * Applies the cleanup policy (keep, collapse, ungroup or close) to managed tab
+ * groups once the native host has disconnected, or once a session has been idle
+ * for the configured time. Closing tabs always asks for confirmation first
+ */
+
+import { getSettings } from './permissions.js';
+import { getManagedGroups, removeManagedGroup, DEFAULT_SESSION } from './managed-groups.js';
+import { isAdoptedTab, releaseTab } from './tab-adoption.js';
+
+export const CLEANUP_POLICY = {
+  KEEP: 'keep',
+  COLLAPSE: 'collapse',
+  UNGROUP: 'ungroup',
+  CLOSE: 'close'
+};
+
+const ALARM_PREFIX = 'group_cleanup:';
+const DISCONNECT_ALARM = `${ALARM_PREFIX}disconnect`;
+const IDLE_ALARM_PREFIX = `${ALARM_PREFIX}idle:`;
+const NOTIFICATION_PREFIX = 'cleanup_';
+
+// A reconnect within this time (e.g. the host restarting) cancels the cleanup
+const DISCONNECT_GRACE_MINUTES = 1;
+
+// Session key -> number of tool calls running
+const activeCalls = new Map();
+
+/**
+ * Count a tool call of a session as activity, postponing its idle cleanup
+ *
+ * @returns {Function} Call when the tool call ends; the idle timer starts once
+ *   the session has no calls running
+ */
+export function trackSessionActivity(sessionId) {
+  const key = sessionId || DEFAULT_SESSION;
+  activeCalls.set(key, (activeCalls.get(key) || 0) + 1);
+  chrome.alarms.clear(`${IDLE_ALARM_PREFIX}${key}`);
+
+  // The session is back: a pending close confirmation no longer applies
+  chrome.notifications.clear(`${NOTIFICATION_PREFIX}${key}`);
+
+  let ended = false;
+  return () => {
+    if (ended) return;
+    ended = true;
+
+    const remaining = activeCalls.get(key) - 1;
+    if (remaining > 0) {
+      activeCalls.set(key, remaining);
+      return;
+    }
+    activeCalls.delete(key);
+    scheduleIdleCleanup(key).catch(error => console.warn('[Cleanup] Could not schedule idle cleanup:', error.message));
+  };
+}
+
+/**
+ * Start a session's idle timer if the policy cleans up idle groups
+ */
+async function scheduleIdleCleanup(key) {
+  const settings = await getSettings();
+  if (settings.tab_group_cleanup === CLEANUP_POLICY.KEEP || settings.tab_group_cleanup_trigger !== 'idle') return;
+
+  await chrome.alarms.create(`${IDLE_ALARM_PREFIX}${key}`, {
+    delayInMinutes: settings.tab_group_cleanup_idle_minutes
+  });
+}
+
+/**
+ * Schedule the cleanup of all groups after a connected native host went away
+ * (not after failed reconnect attempts, which would keep postponing it)
+ */
+export async function scheduleDisconnectCleanup() {
+  const settings = await getSettings();
+  if (settings.tab_group_cleanup === CLEANUP_POLICY.KEEP || settings.tab_group_cleanup_trigger !== 'disconnect') return;
+
+  await chrome.alarms.create(DISCONNECT_ALARM, { delayInMinutes: DISCONNECT_GRACE_MINUTES });
+}
+
+/**
+ * Cancel the disconnect cleanup once the native host is back, withdrawing any
+ * close confirmation it already asked for
+ */
+export async function cancelDisconnectCleanup() {
+  await chrome.alarms.clear(DISCONNECT_ALARM);
+
+  const settings = await getSettings();
+  if (settings.tab_group_cleanup_trigger !== 'disconnect') return;
+
+  for (const notificationId of Object.keys(await chrome.notifications.getAll())) {
+    if (notificationId.startsWith(NOTIFICATION_PREFIX)) {
+      chrome.notifications.clear(notificationId);
+    }
+  }
+}
+
+/**
+ * Apply the cleanup policy to the groups of the given sessions
+ */
+async function cleanupGroups(keys) {
+  const settings = await getSettings();
+  const policy = settings.tab_group_cleanup;
+  if (policy === CLEANUP_POLICY.KEEP) return;
+
+  const groups = await getManagedGroups();
+  for (const key of keys) {
+    const record = groups[key];
+    if (!record) continue;
+
+    try {
+      switch (policy) {
+        case CLEANUP_POLICY.COLLAPSE:
+          await chrome.tabGroups.update(record.groupId, { collapsed: true });
+          break;
+        case CLEANUP_POLICY.UNGROUP:
+          await ungroupSession(key);
+          break;
+        case CLEANUP_POLICY.CLOSE:
+          await confirmClose(key, record);
+          break;
+      }
+    } catch (error) {
+      console.warn(`[Cleanup] Could not ${policy} the tab group of session ${key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get the tabs of a session's group, adopted popups included
+ */
+async function getSessionTabIds(key) {
+  const record = (await getManagedGroups())[key];
+  if (!record) return [];
+
+  const tabs = await chrome.tabs.query({ groupId: record.groupId }).catch(() => []);
+  return [...tabs.map(tab => tab.id), ...record.popupTabIds];
+}
+
+/**
+ * Ungroup a session's tabs and stop tracking its group
+ */
+async function ungroupSession(key) {
+  for (const tabId of await getSessionTabIds(key)) {
+    await releaseTab(tabId, key).catch(() => {});
+  }
+  await removeManagedGroup(key);
+}
+
+/**
+ * Close a session's tabs and stop tracking its group
+ * Tabs the user shared with tabs_adopt are handed back instead of closed
+ */
+async function closeSession(key) {
+  for (const tabId of await getSessionTabIds(key)) {
+    if (await isAdoptedTab(tabId)) {
+      await releaseTab(tabId, key).catch(() => {});
+    } else {
+      await chrome.tabs.remove(tabId).catch(() => {});
+    }
+  }
+  await removeManagedGroup(key);
+}
+
+/**
+ * Ask before closing a session's tabs; without an answer they stay open
+ */
+async function confirmClose(key, record) {
+  const tabs = await chrome.tabs.query({ groupId: record.groupId });
+  const count = tabs.length + record.popupTabIds.length;
+
+  await chrome.notifications.create(`${NOTIFICATION_PREFIX}${key}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+    title: 'Close Claude\'s tabs?',
+    message: `The Claude session has ended. Close the ${count} tab(s) it was using?`,
+    contextMessage: 'Tabs you shared with Claude are handed back, not closed',
+    buttons: [{ title: 'Close tabs' }, { title: 'Keep tabs' }],
+    requireInteraction: true
+  });
+}
+
+/**
+ * Initialize the cleanup alarms and the close confirmation buttons
+ */
+export function initGroupCleanupListeners() {
+  chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === DISCONNECT_ALARM) {
+      cleanupGroups(Object.keys(await getManagedGroups()));
+    } else if (alarm.name.startsWith(IDLE_ALARM_PREFIX)) {
+      const key = alarm.name.slice(IDLE_ALARM_PREFIX.length);
+      if (!activeCalls.has(key)) {
+        cleanupGroups([key]);
+      }
+    }
+  });
+
+  chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    if (buttonIndex === 0) {
+      closeSession(notificationId.slice(NOTIFICATION_PREFIX.length));
+    }
+    chrome.notifications.clear(notificationId);
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * Image Store
+ * Keeps screenshots and GIF frames in IndexedDB so a restarted service worker
+ * can still use them; session storage (10 MB) only holds their metadata
+ * The store is capped by size, dropping the oldest images first, and emptied on
+ * browser startup like session storage
+ */
+
+const DB_NAME = 'claude_images';
+const DB_VERSION = 1;
+const IMAGE_STORE = 'images';
+const ENTRY_STORE = 'entries';
+
+// Total data URL length kept; older images are dropped beyond it
+const MAX_STORED_CHARS = 64 * 1024 * 1024;
+
+let dbPromise = null;
+
+/**
+ * Open (and create) the image database
+ * Sizes live in their own store, so eviction does not have to read the images
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(IMAGE_STORE);
+      const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+      entries.createIndex('storedAt', 'storedAt');
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ */
+function whenComplete(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Store an image, dropping the oldest ones if the store grows past its cap
+ * Failures are logged rather than thrown, since losing a stored image must not
+ * fail the tool call that produced it
+ *
+ * @returns {Promise<boolean>} Whether the image was stored
+ */
+export async function storeImage(key, dataUrl) {
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction([IMAGE_STORE, ENTRY_STORE], 'readwrite');
+    const images = tx.objectStore(IMAGE_STORE);
+    const entries = tx.objectStore(ENTRY_STORE);
+
+    images.put(dataUrl, key);
+    entries.put({ key, size: dataUrl.length, storedAt: Date.now() });
+
+    // Sum sizes from newest to oldest and drop what no longer fits
+    let total = 0;
+    const request = entries.index('storedAt').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      total += cursor.value.size;
+      if (total > MAX_STORED_CHARS && cursor.value.key !== key) {
+        images.delete(cursor.value.key);
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    await whenComplete(tx);
+    return true;
+  } catch (error) {
+    console.warn(`[Images] Could not store ${key}:`, error?.message);
+    return false;
+  }
+}
+
+/**
+ * Load a stored image
+ *
+ * @returns {Promise<string|undefined>} The data URL, if still stored
+ */
+export async function loadImage(key) {
+  try {
+    const db = await openDatabase();
+    return await promisifyRequest(db.transaction(IMAGE_STORE).objectStore(IMAGE_STORE).get(key));
+  } catch (error) {
+    console.warn(`[Images] Could not load ${key}:`, error?.message);
+    return undefined;
+  }
+}
+
+/**
+ * Count the stored images whose key starts with a prefix
+ */
+export async function countImages(keyPrefix) {
+  const db = await openDatabase();
+  const range = IDBKeyRange.bound(keyPrefix, `${keyPrefix}\uffff`);
+  return promisifyRequest(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).count(range));
+}
+
+/**
+ * Remove stored images
+ */
+export async function removeImages(keys) {
+  if (keys.length === 0) return;
+
+  const db = await openDatabase();
+  const tx = db.transaction([IMAGE_STORE, ENTRY_STORE], 'readwrite');
+  for (const key of keys) {
+    tx.objectStore(IMAGE_STORE).delete(key);
+    tx.objectStore(ENTRY_STORE).delete(key);
+  }
+  await whenComplete(tx);
+}
+
+/**
+ * Remove all stored images
+ */
+export async function clearImages() {
+  const db = await openDatabase();
+  const tx = db.transaction([IMAGE_STORE, ENTRY_STORE], 'readwrite');
+  tx.objectStore(IMAGE_STORE).clear();
+  tx.objectStore(ENTRY_STORE).clear();
+  await whenComplete(tx);
+}
@@ -0,0 +1,45 @@
+/**
+ * Service Worker Keepalive
+ * Keeps the MV3 service worker from being suspended while tool calls are in flight
+ */
+
+// Chrome suspends an idle worker after 30s; every extension API call resets that
+// timer, so a cheap call well inside the window keeps it awake
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+let holders = 0;
+let keepaliveTimer = null;
+
+/**
+ * Keep the worker awake until the returned function is called
+ * Holds are counted, so overlapping tool calls can each take one
+ *
+ * @returns {Function} Releases this hold (safe to call more than once)
+ */
+export function holdKeepalive() {
+  holders++;
+  if (!keepaliveTimer) {
+    keepaliveTimer = setInterval(() => {
+      chrome.runtime.getPlatformInfo().catch(() => {});
+    }, KEEPALIVE_INTERVAL_MS);
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    holders--;
+    if (holders === 0) {
+      clearInterval(keepaliveTimer);
+      keepaliveTimer = null;
+    }
+  };
+}
+
+/**
+ * Get the number of active keepalive holds, for diagnostics
+ */
+export function getKeepaliveHolders() {
+  return holders;
+}
@@ -0,0 +1,95 @@
+/**
+ * Kill Switch
+ * Emergency stop that aborts in-flight tool calls and refuses new ones until resumed
+ */
+
+import { ToolError } from './errors.js';
+
+// Kept in session storage so a stop survives service worker restarts
+const STORAGE_KEY = 'automation_stop';
+
+// Abort controllers of tool calls currently in flight
+const activeOperations = new Set();
+
+// Stop state set in this context; takes precedence over session storage, so a
+// stop holds even if it could not be persisted
+let localStopState = null;
+
+/**
+ * Error raised for tool calls cancelled or refused by the kill switch
+ */
+export class StoppedByUserError extends ToolError {
+  constructor(stoppedAt) {
+    super('STOPPED_BY_USER', 'Stopped by user. Resume automation from the extension options page or with the resume shortcut', {
+      details: { stoppedAt }
+    });
+    this.name = 'StoppedByUserError';
+  }
+}
+
+/**
+ * Get current stop state
+ */
+export async function getStopState() {
+  if (localStopState) return localStopState;
+
+  const result = await chrome.storage.session.get(STORAGE_KEY);
+  return result[STORAGE_KEY] || { stopped: false };
+}
+
+/**
+ * Throw StoppedByUserError if automation is currently stopped
+ */
+export async function assertNotStopped() {
+  const state = await getStopState();
+  if (state.stopped) {
+    throw new StoppedByUserError(state.stoppedAt);
+  }
+}
+
+/**
+ * Track an in-flight operation so a stop can abort it
+ * Returns a function that stops tracking it
+ */
+export function registerOperation(controller) {
+  activeOperations.add(controller);
+  return () => activeOperations.delete(controller);
+}
+
+/**
+ * Stop automation: abort everything in flight and refuse further tool calls
+ * The stop takes effect before it is persisted, and holds for this worker even
+ * if persisting fails
+ */
+export async function stopAutomation(source) {
+  const state = {
+    stopped: true,
+    stoppedAt: Date.now(),
+    source
+  };
+  localStopState = state;
+
+  const error = new StoppedByUserError(state.stoppedAt);
+  for (const controller of activeOperations) {
+    controller.abort(error);
+  }
+  const aborted = activeOperations.size;
+  activeOperations.clear();
+
+  try {
+    await chrome.storage.session.set({ [STORAGE_KEY]: state });
+  } catch (e) {
+    console.warn('[KillSwitch] Could not persist the stop:', e.message);
+  }
+
+  return { ...state, aborted };
+}
+
+/**
+ * Resume automation after a stop
+ */
+export async function resumeAutomation() {
+  localStopState = { stopped: false };
+  await chrome.storage.session.remove(STORAGE_KEY);
+  return { stopped: false };
+}
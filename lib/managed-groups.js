@@ -0,0 +1,345 @@
+/**
+ * Managed Tab Groups
+ * Tracks the tab group each CLI session owns (its ID, window and member tabs)
+ * in chrome.storage.session, following it through renames, moves and service
+ * worker restarts instead of looking it up by title
+ * Tabs and popups opened from a member tab are adopted into its group
+ */
+
+import { saveCheckpoint, loadCheckpoint } from './session-state.js';
+
+// Key of the group used by requests that carry no sessionId
+export const DEFAULT_SESSION = 'default';
+
+// Both events announcing a new tab are ignored for the same tab within this time
+const ADOPTION_DEDUP_MS = 10000;
+
+// Session key -> { groupId, windowId, tabIds, popupTabIds }
+// Popup windows cannot hold tab groups, so adopted popups are tracked by tab ID only
+let managedGroups = {};
+
+// Tabs recently handled by adoptChildTab
+const adoptingTabIds = new Set();
+
+// Opener tab ID -> functions told about tabs adopted from it
+const openedTabWatchers = new Map();
+
+// Groups tracked before a service worker restart
+const groupsRestored = loadCheckpoint(['managedGroups']).then(({ managedGroups: saved }) => {
+  if (saved) {
+    managedGroups = { ...saved, ...managedGroups };
+  }
+});
+
+/**
+ * Get the key a session's group is stored under
+ */
+function getSessionKey(sessionId) {
+  return sessionId || DEFAULT_SESSION;
+}
+
+/**
+ * Checkpoint all tracked groups
+ */
+function persist() {
+  return saveCheckpoint({ managedGroups });
+}
+
+/**
+ * Find the tracked group with a group ID
+ *
+ * @returns {object|undefined} The group record
+ */
+function findByGroupId(groupId) {
+  return Object.values(managedGroups).find(record => record.groupId === groupId);
+}
+
+/**
+ * Check whether a group record lists a tab, as a grouped tab or an adopted popup
+ */
+function isMember(record, tabId) {
+  return record.tabIds.includes(tabId) || record.popupTabIds.includes(tabId);
+}
+
+/**
+ * Find the tracked group that lists a tab as a member
+ *
+ * @returns {object|undefined} The group record
+ */
+function findByTabId(tabId) {
+  return Object.values(managedGroups).find(record => isMember(record, tabId));
+}
+
+/**
+ * Check whether a tab group still exists
+ */
+export function groupExists(groupId) {
+  return chrome.tabGroups.get(groupId).then(() => true, () => false);
+}
+
+/**
+ * Get a session's group, or null if it has none
+ *
+ * @returns {Promise<{ groupId, windowId, tabIds, popupTabIds }|null>}
+ */
+export async function getManagedGroup(sessionId) {
+  await groupsRestored;
+  return managedGroups[getSessionKey(sessionId)] ?? null;
+}
+
+/**
+ * Get the groups of all sessions, keyed by session
+ */
+export async function getManagedGroups() {
+  await groupsRestored;
+  return { ...managedGroups };
+}
+
+/**
+ * Record the group a session owns
+ * Adopted popups are kept while the group stays the same
+ */
+export async function setManagedGroup(sessionId, { groupId, windowId, tabIds = [] }) {
+  await groupsRestored;
+  const key = getSessionKey(sessionId);
+  const previous = managedGroups[key];
+
+  managedGroups[key] = {
+    groupId,
+    windowId,
+    tabIds: [...new Set(tabIds)],
+    popupTabIds: previous?.groupId === groupId ? previous.popupTabIds : []
+  };
+  await persist();
+}
+
+/**
+ * Record tabs that were just added to a session's group
+ * The tabs.onUpdated listener would catch them too, but may run after the next tool call
+ */
+export async function addManagedTabs(sessionId, tabIds) {
+  await groupsRestored;
+  const record = managedGroups[getSessionKey(sessionId)];
+  if (!record) return;
+
+  record.tabIds = [...new Set([...record.tabIds, ...tabIds])];
+  await persist();
+}
+
+/**
+ * Stop counting a tab as a member of a session's group
+ */
+export async function removeManagedTab(sessionId, tabId) {
+  await groupsRestored;
+  const record = managedGroups[getSessionKey(sessionId)];
+  if (!record) return;
+
+  record.tabIds = record.tabIds.filter(id => id !== tabId);
+  record.popupTabIds = record.popupTabIds.filter(id => id !== tabId);
+  await persist();
+}
+
+/**
+ * Stop tracking a session's group (the group itself is left alone)
+ */
+export async function removeManagedGroup(sessionId) {
+  await groupsRestored;
+  delete managedGroups[getSessionKey(sessionId)];
+  await persist();
+}
+
+/**
+ * Check whether a tab is in a session's group, or is a popup adopted into it
+ */
+export async function isTabInManagedGroup(tab, sessionId) {
+  const record = await getManagedGroup(sessionId);
+  return record !== null && (tab.groupId === record.groupId || record.popupTabIds.includes(tab.id));
+}
+
+/**
+ * Collect the tabs opened from an opener tab until the returned function is called
+ * Tabs are reported as soon as they appear; their adoption into the group may
+ * still be under way
+ *
+ * @returns {Function} Stops watching and returns the opened tab IDs
+ */
+export function watchOpenedTabs(openerTabId) {
+  const openedTabIds = [];
+  const watcher = (tabId) => {
+    if (!openedTabIds.includes(tabId)) {
+      openedTabIds.push(tabId);
+    }
+  };
+
+  if (!openedTabWatchers.has(openerTabId)) {
+    openedTabWatchers.set(openerTabId, new Set());
+  }
+  openedTabWatchers.get(openerTabId).add(watcher);
+
+  return () => {
+    const watchers = openedTabWatchers.get(openerTabId);
+    watchers?.delete(watcher);
+    if (watchers?.size === 0) {
+      openedTabWatchers.delete(openerTabId);
+    }
+    return openedTabIds;
+  };
+}
+
+/**
+ * Tell the watchers of an opener tab about a tab it opened
+ * Called synchronously from the event listeners, so an action that opened the
+ * tab sees it even if it ends before the adoption does
+ */
+function notifyOpenedTab(openerTabId, tabId) {
+  for (const watcher of openedTabWatchers.get(openerTabId) || []) {
+    watcher(tabId);
+  }
+}
+
+/**
+ * Add a tab opened from a member tab (a target=_blank link, window.open or a
+ * popup) to the opener's group
+ */
+async function adoptChildTab(openerTabId, tabId) {
+  notifyOpenedTab(openerTabId, tabId);
+  if (adoptingTabIds.has(tabId)) return;
+  adoptingTabIds.add(tabId);
+  setTimeout(() => adoptingTabIds.delete(tabId), ADOPTION_DEDUP_MS);
+
+  await groupsRestored;
+  const record = findByTabId(openerTabId);
+  if (!record) return;
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const { type } = await chrome.windows.get(tab.windowId);
+
+    if (type === 'normal') {
+      if (tab.groupId !== record.groupId) {
+        if (tab.windowId !== record.windowId) {
+          await chrome.tabs.move(tabId, { windowId: record.windowId, index: -1 });
+        }
+        await chrome.tabs.group({ tabIds: [tabId], groupId: record.groupId });
+      }
+      if (!record.tabIds.includes(tabId)) {
+        record.tabIds.push(tabId);
+      }
+    } else if (!record.popupTabIds.includes(tabId)) {
+      record.popupTabIds.push(tabId);
+    }
+    await persist();
+  } catch (error) {
+    console.warn(`[Groups] Could not adopt tab ${tabId} opened from tab ${openerTabId}:`, error.message);
+  }
+}
+
+/**
+ * Follow a tab joining or leaving a group
+ */
+async function syncTabMembership(tab) {
+  await groupsRestored;
+  const owner = findByGroupId(tab.groupId);
+  const former = findByTabId(tab.id);
+  if (!owner && !former) return;
+
+  if (former && former !== owner && !former.popupTabIds.includes(tab.id)) {
+    // A member landing in an unknown group while its own group is gone means the
+    // group was recreated under a new ID, e.g. dragged to another window
+    if (!owner && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !(await groupExists(former.groupId))) {
+      former.groupId = tab.groupId;
+      former.windowId = tab.windowId;
+      await persist();
+      return;
+    }
+    former.tabIds = former.tabIds.filter(id => id !== tab.id);
+  }
+
+  if (owner && !owner.tabIds.includes(tab.id)) {
+    owner.tabIds.push(tab.id);
+  }
+  await persist();
+}
+
+/**
+ * Drop a closed tab from its group
+ */
+async function forgetTab(tabId) {
+  await groupsRestored;
+  const record = findByTabId(tabId);
+  if (!record) return;
+
+  record.tabIds = record.tabIds.filter(id => id !== tabId);
+  record.popupTabIds = record.popupTabIds.filter(id => id !== tabId);
+  await persist();
+}
+
+/**
+ * Follow a group moving to another window
+ */
+async function syncGroupWindow(group) {
+  await groupsRestored;
+  const record = findByGroupId(group.id);
+  if (!record || record.windowId === group.windowId) return;
+
+  record.windowId = group.windowId;
+  await persist();
+}
+
+/**
+ * Stop tracking a removed group, unless its member tabs moved on to a new group together
+ */
+async function handleGroupRemoved(group) {
+  await groupsRestored;
+  const entry = Object.entries(managedGroups).find(([, record]) => record.groupId === group.id);
+  if (!entry) return;
+
+  const [key, record] = entry;
+  const tabs = await Promise.all(record.tabIds.map(tabId => chrome.tabs.get(tabId).catch(() => null)));
+  const successor = tabs.find(tab => tab
+    && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE
+    && tab.groupId !== group.id
+    && !findByGroupId(tab.groupId));
+
+  if (successor) {
+    record.groupId = successor.groupId;
+    record.windowId = successor.windowId;
+  } else {
+    delete managedGroups[key];
+  }
+  await persist();
+}
+
+/**
+ * Initialize the listeners that keep tracked groups up to date
+ */
+export function initManagedGroupListeners() {
+  // New tabs and popups opened from member tabs; some are announced by only one of these
+  chrome.tabs.onCreated.addListener((tab) => {
+    if (tab.openerTabId !== undefined) {
+      adoptChildTab(tab.openerTabId, tab.id);
+    }
+  });
+  chrome.webNavigation.onCreatedNavigationTarget.addListener(({ sourceTabId, tabId }) => {
+    adoptChildTab(sourceTabId, tabId);
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if ('groupId' in changeInfo) {
+      syncTabMembership(tab);
+    }
+  });
+
+  // A tab dragged to another window may leave or change its group
+  chrome.tabs.onAttached.addListener((tabId) => {
+    chrome.tabs.get(tabId).then(syncTabMembership, () => {});
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetTab(tabId);
+  });
+
+  chrome.tabGroups.onUpdated.addListener(syncGroupWindow);
+  chrome.tabGroups.onMoved.addListener(syncGroupWindow);
+  chrome.tabGroups.onRemoved.addListener(handleGroupRemoved);
+}
@@ -0,0 +1,225 @@
+/**
+ * Performance Metrics
+ * Latency histograms and error counts per tool, per domain and per low-level
+ * operation (executeScript, debugger commands, captures) for this browser session
+ */
+
+import { saveCheckpoint, loadCheckpoint } from './session-state.js';
+
+// Upper bounds of the histogram buckets; the last bucket holds everything slower
+export const BUCKET_BOUNDS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// Domains beyond this many are counted together, so the checkpoint stays small
+const MAX_DOMAINS = 100;
+const OTHER_DOMAINS = '(other)';
+
+// Metrics are checkpointed at most this often
+const CHECKPOINT_DELAY_MS = 5000;
+
+let metrics = createMetrics();
+let checkpointTimer = null;
+
+// Restore metrics recorded before a service worker restart
+const restored = loadCheckpoint(['metrics']).then(({ metrics: saved }) => {
+  if (saved) {
+    metrics = mergeMetrics(saved, metrics);
+  }
+});
+
+/**
+ * Create an empty metrics record
+ */
+function createMetrics() {
+  return { since: Date.now(), tools: {}, domains: {}, operations: {} };
+}
+
+/**
+ * Create an empty histogram
+ */
+function createHistogram() {
+  return {
+    count: 0,
+    errors: 0,
+    samples: 0,
+    sumMs: 0,
+    maxMs: 0,
+    buckets: new Array(BUCKET_BOUNDS_MS.length + 1).fill(0)
+  };
+}
+
+/**
+ * Add a call to a histogram; durationMs is null for calls that failed before running
+ */
+function observe(histogram, durationMs, success) {
+  histogram.count++;
+  if (!success) {
+    histogram.errors++;
+  }
+  if (durationMs === null || durationMs === undefined) return;
+
+  histogram.samples++;
+  histogram.sumMs += durationMs;
+  histogram.maxMs = Math.max(histogram.maxMs, durationMs);
+
+  const index = BUCKET_BOUNDS_MS.findIndex(bound => durationMs <= bound);
+  histogram.buckets[index === -1 ? BUCKET_BOUNDS_MS.length : index]++;
+}
+
+/**
+ * Add the counts of one histogram to another
+ */
+function mergeHistogram(target, source) {
+  target.count += source.count;
+  target.errors += source.errors;
+  target.samples += source.samples;
+  target.sumMs += source.sumMs;
+  target.maxMs = Math.max(target.maxMs, source.maxMs);
+  source.buckets.forEach((count, index) => {
+    target.buckets[index] += count;
+  });
+  return target;
+}
+
+/**
+ * Merge two metrics records (restored ones and ones recorded meanwhile)
+ */
+function mergeMetrics(base, extra) {
+  const merged = { ...createMetrics(), since: Math.min(base.since, extra.since) };
+
+  for (const group of ['tools', 'domains', 'operations']) {
+    for (const source of [base[group] || {}, extra[group] || {}]) {
+      for (const [key, histogram] of Object.entries(source)) {
+        merged[group][key] = mergeHistogram(merged[group][key] || createHistogram(), histogram);
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Get (creating if needed) the histogram of a key in a group
+ */
+function getHistogram(group, key) {
+  if (!metrics[group][key]) {
+    metrics[group][key] = createHistogram();
+  }
+  return metrics[group][key];
+}
+
+/**
+ * Checkpoint metrics shortly after a change, batching bursts of calls
+ */
+function scheduleCheckpoint() {
+  if (checkpointTimer) return;
+
+  checkpointTimer = setTimeout(() => {
+    checkpointTimer = null;
+    saveCheckpoint({ metrics });
+  }, CHECKPOINT_DELAY_MS);
+}
+
+/**
+ * Record a tool call
+ *
+ * @param {object} call
+ * @param {string} call.tool
+ * @param {string|null} call.domain - Domain of the page the call acted on, if any
+ * @param {number|null} call.durationMs - Handler run time, or null if it never ran
+ * @param {boolean} call.success
+ */
+export function recordToolMetric({ tool, domain, durationMs, success }) {
+  observe(getHistogram('tools', tool), durationMs, success);
+
+  if (domain) {
+    const key = metrics.domains[domain] || Object.keys(metrics.domains).length < MAX_DOMAINS
+      ? domain
+      : OTHER_DOMAINS;
+    observe(getHistogram('domains', key), durationMs, success);
+  }
+
+  scheduleCheckpoint();
+}
+
+/**
+ * Run a low-level operation and record how long it took
+ *
+ * @param {string} operation - e.g. 'execute_script', 'debugger_command', 'capture_screenshot'
+ * @param {Function} fn - Returns a promise for the operation's result
+ */
+export async function measure(operation, fn) {
+  const startedAt = performance.now();
+  let success = false;
+
+  try {
+    const result = await fn();
+    success = true;
+    return result;
+  } finally {
+    observe(getHistogram('operations', operation), Math.round(performance.now() - startedAt), success);
+    scheduleCheckpoint();
+  }
+}
+
+/**
+ * Estimate a percentile from histogram buckets (the upper bound of its bucket)
+ */
+function estimatePercentile(histogram, percentile) {
+  const rank = Math.ceil(histogram.samples * percentile);
+  let seen = 0;
+
+  for (const [index, count] of histogram.buckets.entries()) {
+    seen += count;
+    if (seen >= rank) {
+      return index < BUCKET_BOUNDS_MS.length ? BUCKET_BOUNDS_MS[index] : histogram.maxMs;
+    }
+  }
+  return histogram.maxMs;
+}
+
+/**
+ * Summarize a histogram for display
+ */
+function summarize(histogram) {
+  const hasSamples = histogram.samples > 0;
+  return {
+    count: histogram.count,
+    errors: histogram.errors,
+    errorRate: histogram.count > 0 ? histogram.errors / histogram.count : 0,
+    avgMs: hasSamples ? Math.round(histogram.sumMs / histogram.samples) : null,
+    p50Ms: hasSamples ? estimatePercentile(histogram, 0.5) : null,
+    p95Ms: hasSamples ? estimatePercentile(histogram, 0.95) : null,
+    maxMs: hasSamples ? histogram.maxMs : null,
+    buckets: histogram.buckets
+  };
+}
+
+/**
+ * Get summaries of all metrics, slowest total time first
+ */
+export async function getMetricsSnapshot() {
+  await restored;
+
+  const summarizeGroup = (group) => Object.entries(metrics[group])
+    .sort(([, a], [, b]) => b.sumMs - a.sumMs)
+    .map(([key, histogram]) => ({ key, ...summarize(histogram) }));
+
+  return {
+    since: metrics.since,
+    bucketBoundsMs: BUCKET_BOUNDS_MS,
+    tools: summarizeGroup('tools'),
+    domains: summarizeGroup('domains'),
+    operations: summarizeGroup('operations')
+  };
+}
+
+/**
+ * Discard all metrics
+ */
+export async function resetMetrics() {
+  await restored;
+  metrics = createMetrics();
+  clearTimeout(checkpointTimer);
+  checkpointTimer = null;
+  await saveCheckpoint({ metrics });
+}
@@ -0,0 +1,283 @@
+/**
+ * Native Host Connection
+ * Owns the native messaging port: connection state machine, reconnect backoff
+ * with jitter, heartbeat, and broadcasting the state to extension pages
+ */
+
+const NATIVE_HOST_NAME = 'com.anthropic.claude_code_browser_extension';
+
+export const CONNECTION_STATES = {
+  // Port open, host has not answered the handshake or a heartbeat yet
+  CONNECTING: 'connecting',
+  // Host answered and speaks a compatible protocol
+  VERIFIED: 'verified',
+  // Port open but heartbeats go unanswered, or the host is incompatible
+  DEGRADED: 'degraded',
+  // No port; a reconnect is scheduled
+  DISCONNECTED: 'disconnected'
+};
+
+// Reconnect delays: BASE * 2^attempt, capped, with jitter
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const HEARTBEAT_TIMEOUT_MS = 5000;
+// Missed heartbeats before the port is considered dead and reopened
+const MAX_MISSED_HEARTBEATS = 3;
+
+let port = null;
+let handlers = {};
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let heartbeatDeadline = null;
+
+// Facts the state is derived from
+let hostVerified = false;
+let incompatibility = null;
+let missedHeartbeats = 0;
+let attempt = 0;
+let lastError = null;
+let nextRetryAt = null;
+let lastHeartbeatAt = null;
+
+let currentState = CONNECTION_STATES.DISCONNECTED;
+let stateSince = Date.now();
+const stateListeners = new Set();
+
+/**
+ * Set the callbacks for the port (call once at service worker startup)
+ *
+ * @param {object} callbacks
+ * @param {Function} callbacks.onOpen - Port opened; send the handshake
+ * @param {Function} callbacks.onMessage - Message received from the host
+ * @param {Function} callbacks.onClose - Port closed, with the error message
+ */
+export function initNativeConnection(callbacks) {
+  handlers = callbacks;
+}
+
+/**
+ * Open the native port if it is not open yet
+ */
+export function connectNativeHost() {
+  if (port) {
+    console.log('[Connection] Native port already exists');
+    return;
+  }
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  nextRetryAt = null;
+
+  console.log(`[Connection] Connecting to native host (attempt ${attempt + 1})`);
+
+  try {
+    port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  } catch (error) {
+    port = null;
+    handleClose(error.message);
+    return;
+  }
+
+  port.onMessage.addListener((message) => handlers.onMessage?.(message));
+  port.onDisconnect.addListener(() => {
+    handleClose(chrome.runtime.lastError?.message || 'Native host disconnected');
+  });
+
+  updateState();
+  handlers.onOpen?.();
+  startHeartbeat();
+}
+
+/**
+ * Post a message on the native port
+ */
+export function postNativeMessage(message) {
+  if (!port) {
+    console.error('[Connection] No native port available');
+    return false;
+  }
+
+  try {
+    port.postMessage(message);
+    return true;
+  } catch (error) {
+    console.error('[Connection] Failed to send native message:', error);
+    return false;
+  }
+}
+
+/**
+ * Record that the host answered (handshake or heartbeat)
+ */
+export function markHostVerified() {
+  hostVerified = true;
+  missedHeartbeats = 0;
+  attempt = 0;
+  lastError = null;
+  lastHeartbeatAt = Date.now();
+  clearTimeout(heartbeatDeadline);
+  heartbeatDeadline = null;
+  updateState();
+}
+
+/**
+ * Record that the host cannot be used (e.g. protocol mismatch) until it reconnects
+ */
+export function markHostIncompatible(reason) {
+  incompatibility = reason;
+  lastError = reason;
+  updateState(true);
+}
+
+/**
+ * Get a snapshot of the connection state
+ */
+export function getConnectionState() {
+  return {
+    state: currentState,
+    since: stateSince,
+    attempt,
+    lastError,
+    nextRetryAt,
+    lastHeartbeatAt
+  };
+}
+
+/**
+ * Listen for connection state changes
+ * @returns {Function} Removes the listener
+ */
+export function onConnectionStateChange(listener) {
+  stateListeners.add(listener);
+  return () => stateListeners.delete(listener);
+}
+
+/**
+ * Handle the port closing: reset, notify and schedule a reconnect with backoff
+ */
+function handleClose(error) {
+  console.log('[Connection] Native host disconnected:', error);
+
+  port = null;
+  hostVerified = false;
+  incompatibility = null;
+  missedHeartbeats = 0;
+  lastError = error;
+  stopHeartbeat();
+
+  handlers.onClose?.(error);
+
+  const delay = getBackoffDelay(attempt);
+  attempt++;
+  nextRetryAt = Date.now() + delay;
+  reconnectTimer = setTimeout(connectNativeHost, delay);
+  console.log(`[Connection] Reconnecting in ${Math.round(delay / 1000)}s`);
+
+  updateState(true);
+}
+
+/**
+ * Get the reconnect delay for an attempt: exponential, capped, with jitter
+ * so many extensions do not reconnect in lockstep
+ */
+function getBackoffDelay(attemptNumber) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attemptNumber);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Ping the host periodically; unanswered pings degrade, then reopen the port
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+
+  heartbeatTimer = setInterval(() => {
+    if (!port || heartbeatDeadline) return;
+
+    postNativeMessage({ type: 'ping' });
+    heartbeatDeadline = setTimeout(handleMissedHeartbeat, HEARTBEAT_TIMEOUT_MS);
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+/**
+ * Stop the heartbeat timers
+ */
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  clearTimeout(heartbeatDeadline);
+  heartbeatTimer = null;
+  heartbeatDeadline = null;
+}
+
+/**
+ * Handle a heartbeat that got no answer in time
+ */
+function handleMissedHeartbeat() {
+  heartbeatDeadline = null;
+  missedHeartbeats++;
+  console.warn(`[Connection] Missed heartbeat ${missedHeartbeats}/${MAX_MISSED_HEARTBEATS}`);
+
+  if (missedHeartbeats < MAX_MISSED_HEARTBEATS) {
+    lastError = `No heartbeat response (${missedHeartbeats} missed)`;
+    updateState(true);
+    return;
+  }
+
+  // The host is unresponsive; reopen the port
+  const stalePort = port;
+  port = null;
+  try {
+    stalePort?.disconnect();
+  } catch (e) {
+    // Already disconnected
+  }
+  handleClose('Native host stopped answering heartbeats');
+}
+
+/**
+ * Derive the state from the current facts and broadcast it if it changed
+ *
+ * @param {boolean} [detailsChanged] - Broadcast even if the state itself is unchanged
+ */
+function updateState(detailsChanged = false) {
+  let state;
+  if (!port) {
+    state = CONNECTION_STATES.DISCONNECTED;
+  } else if (incompatibility || missedHeartbeats > 0) {
+    state = CONNECTION_STATES.DEGRADED;
+  } else if (hostVerified) {
+    state = CONNECTION_STATES.VERIFIED;
+  } else {
+    state = CONNECTION_STATES.CONNECTING;
+  }
+
+  if (state === currentState && !detailsChanged) return;
+
+  if (state !== currentState) {
+    console.log(`[Connection] ${currentState} -> ${state}`);
+    currentState = state;
+    stateSince = Date.now();
+  }
+
+  broadcastState();
+}
+
+/**
+ * Tell extension pages and local listeners about the current state
+ */
+function broadcastState() {
+  const snapshot = getConnectionState();
+
+  // Rejects when no extension page is open to receive it
+  chrome.runtime.sendMessage({ type: 'connection_state', ...snapshot }).catch(() => {});
+
+  for (const listener of stateListeners) {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error('[Connection] State listener failed:', error);
+    }
+  }
+}
@@ -3,13 +3,19 @@
  * Handles domain allowlists, blocklists, and action approvals
  */
 
+import { ToolError } from './errors.js';
+
 // Storage keys
 const STORAGE_KEYS = {
   ALLOWED_DOMAINS: 'allowed_domains',
   BLOCKED_DOMAINS: 'blocked_domains',
+  APPROVED_DOMAINS: 'approved_domains',
   SETTINGS: 'settings'
 };
 
+// Longest approval timeout the options page accepts
+export const MAX_APPROVAL_TIMEOUT_SECONDS = 600;
+
 // Default settings
 const DEFAULT_SETTINGS = {
   require_approval_for_clicks: false,
@@ -20,8 +26,17 @@ const DEFAULT_SETTINGS = {
   show_visual_indicator: true,
   indicator_color: '#FF6B35',
   auto_approve_same_domain: true,
+  approval_timeout_seconds: 60,
+  allow_concurrent_reads: false,
+  enforce_plan_domains: false,
+  audit_log_enabled: true,
+  audit_log_max_entries: 5000,
+  audit_log_retention_days: 30,
   tab_group_name: 'Facai',
-  tab_group_color: 'orange'
+  tab_group_color: 'orange',
+  tab_group_cleanup: 'keep',
+  tab_group_cleanup_trigger: 'disconnect',
+  tab_group_cleanup_idle_minutes: 30
 };
 
 /**
@@ -31,12 +46,14 @@ export async function getAllPermissions() {
   const result = await chrome.storage.local.get([
     STORAGE_KEYS.ALLOWED_DOMAINS,
     STORAGE_KEYS.BLOCKED_DOMAINS,
+    STORAGE_KEYS.APPROVED_DOMAINS,
     STORAGE_KEYS.SETTINGS
   ]);
 
   return {
     allowed_domains: result[STORAGE_KEYS.ALLOWED_DOMAINS] || [],
     blocked_domains: result[STORAGE_KEYS.BLOCKED_DOMAINS] || [],
+    approved_domains: result[STORAGE_KEYS.APPROVED_DOMAINS] || [],
     settings: { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] }
   };
 }
@@ -176,6 +193,50 @@ export async function removeBlockedDomain(domain) {
   return { success: true };
 }
 
+/**
+ * Get domains where actions are always approved without prompting
+ */
+export async function getApprovedDomains() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.APPROVED_DOMAINS);
+  return result[STORAGE_KEYS.APPROVED_DOMAINS] || [];
+}
+
+/**
+ * Always approve actions on a domain (from the "Always allow" prompt button)
+ */
+export async function addApprovedDomain(domain) {
+  const domains = await getApprovedDomains();
+
+  if (domains.find(d => d.domain === domain)) {
+    return { success: false, error: 'Domain already approved' };
+  }
+
+  const entry = {
+    domain,
+    addedAt: Date.now()
+  };
+
+  domains.push(entry);
+  await chrome.storage.local.set({ [STORAGE_KEYS.APPROVED_DOMAINS]: domains });
+
+  return { success: true, entry };
+}
+
+/**
+ * Stop always approving actions on a domain
+ */
+export async function removeApprovedDomain(domain) {
+  const domains = await getApprovedDomains();
+  const filtered = domains.filter(d => d.domain !== domain);
+
+  if (filtered.length === domains.length) {
+    return { success: false, error: 'Domain not found' };
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.APPROVED_DOMAINS]: filtered });
+  return { success: true };
+}
+
 /**
  * Check if domain is allowed
  */
@@ -205,12 +266,71 @@ export async function isDomainAllowed(domain) {
   return { allowed: false, reason: 'not_in_allowlist' };
 }
 
+/**
+ * Error raised when a domain is denied by the allowlist or blocklist
+ */
+export class DomainPermissionError extends ToolError {
+  constructor(domain, reason) {
+    super('DOMAIN_BLOCKED',
+      reason === 'blocked'
+        ? `Domain ${domain} is blocked`
+        : `Domain ${domain} is not in the allowlist`,
+      { details: { domain, reason } });
+    this.name = 'DomainPermissionError';
+  }
+}
+
+/**
+ * Get the domain of a web URL, or null for non-web URLs (about:, chrome:, etc.)
+ */
+export function getDomainFromUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check a URL against the domain lists
+ * Throws DomainPermissionError if denied, and records usage of allowlisted domains
+ */
+export async function enforceUrlPermission(url) {
+  const domain = getDomainFromUrl(url);
+  if (!domain) {
+    return { allowed: true, reason: 'not_web_url' };
+  }
+
+  const result = await isDomainAllowed(domain);
+  if (!result.allowed) {
+    throw new DomainPermissionError(domain, result.reason);
+  }
+
+  if (result.entry) {
+    await updateDomainLastUsed(domain);
+  }
+
+  return { ...result, domain };
+}
+
 /**
  * Check if action requires approval based on settings
  */
 export async function requiresApproval(action, context = {}) {
   const settings = await getSettings();
 
+  // Domains the user chose to always allow skip every prompt
+  if (context.targetDomain) {
+    const approved = await getApprovedDomains();
+    if (approved.some(entry => matchWildcard(entry.domain, context.targetDomain))) {
+      return false;
+    }
+  }
+
   // Click actions
   if (['left_click', 'right_click', 'double_click', 'triple_click'].includes(action)) {
     return settings.require_approval_for_clicks;
@@ -244,7 +364,7 @@ export async function requiresApproval(action, context = {}) {
  * Match domain against wildcard pattern
  * Supports: *.example.com, example.*, *.example.*
  */
-function matchWildcard(pattern, domain) {
+export function matchWildcard(pattern, domain) {
   if (pattern === domain) return true;
 
   // Convert pattern to regex
@@ -263,6 +383,7 @@ export async function clearAllData() {
   await chrome.storage.local.remove([
     STORAGE_KEYS.ALLOWED_DOMAINS,
     STORAGE_KEYS.BLOCKED_DOMAINS,
+    STORAGE_KEYS.APPROVED_DOMAINS,
     STORAGE_KEYS.SETTINGS
   ]);
 
@@ -287,6 +408,7 @@ export async function importData(jsonString) {
     await chrome.storage.local.set({
       [STORAGE_KEYS.ALLOWED_DOMAINS]: data.allowed_domains || [],
       [STORAGE_KEYS.BLOCKED_DOMAINS]: data.blocked_domains || [],
+      [STORAGE_KEYS.APPROVED_DOMAINS]: data.approved_domains || [],
       [STORAGE_KEYS.SETTINGS]: { ...DEFAULT_SETTINGS, ...data.settings }
     });
 
@@ -0,0 +1,242 @@
+/**
+ * Plan Review
+ * Keeps the plan declared with update_plan and the user's decision on it, and
+ * optionally refuses tool calls on domains the approved plan does not list
+ */
+
+import { getSettings, getDomainFromUrl, matchWildcard } from './permissions.js';
+import { ToolError } from './errors.js';
+
+const STORAGE_KEY = 'currentPlan';
+const NOTIFICATION_PREFIX = 'plan_';
+
+export const PLAN_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Error raised when plan enforcement refuses a domain
+ */
+export class PlanDomainError extends ToolError {
+  constructor(domain, reason) {
+    super('PLAN_DOMAIN_NOT_ALLOWED', describeRefusal(domain, reason), { details: { domain, reason } });
+    this.name = 'PlanDomainError';
+  }
+}
+
+/**
+ * Explain why a domain was refused and what to do about it
+ */
+function describeRefusal(domain, reason) {
+  switch (reason) {
+    case 'no_plan':
+      return `No approved plan covers ${domain}. Call update_plan with the domains you need and wait for the user to approve it`;
+    case PLAN_STATUS.PENDING:
+      return `The plan is waiting for the user's approval; ${domain} cannot be used until it is approved`;
+    case PLAN_STATUS.REJECTED:
+      return `The user rejected the plan; update it with update_plan before using ${domain}`;
+    default:
+      return `${domain} is not in the approved plan's domains; add it with update_plan and wait for approval`;
+  }
+}
+
+/**
+ * Get the current plan, or null
+ *
+ * @returns {Promise<{ id, domains, approach, status, createdAt, decidedAt }|null>}
+ */
+export async function getPlan() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  const plan = result[STORAGE_KEY];
+  if (!plan) return null;
+
+  // Plans stored before review existed have no id or status
+  return {
+    id: plan.id || String(plan.timestamp),
+    domains: plan.domains || [],
+    approach: plan.approach || [],
+    status: plan.status || PLAN_STATUS.PENDING,
+    createdAt: plan.createdAt || plan.timestamp,
+    decidedAt: plan.decidedAt || null
+  };
+}
+
+/**
+ * Replace the current plan; a new plan always waits for the user's decision
+ */
+export async function setPlan({ domains = [], approach = [] }) {
+  const plan = {
+    id: crypto.randomUUID(),
+    domains: [...new Set(domains.map(normalizePlanDomain).filter(Boolean))],
+    approach,
+    status: PLAN_STATUS.PENDING,
+    createdAt: Date.now(),
+    decidedAt: null
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: plan });
+  return plan;
+}
+
+/**
+ * Approve or reject a plan
+ * Ignored if the plan was replaced in the meantime, so a late click never
+ * approves a plan the user has not seen
+ *
+ * @param {string} planId - ID of the plan the user looked at
+ * @param {'approved'|'rejected'} status
+ */
+export async function decidePlan(planId, status) {
+  if (status !== PLAN_STATUS.APPROVED && status !== PLAN_STATUS.REJECTED) {
+    return { success: false, error: `Invalid decision: ${status}` };
+  }
+
+  const plan = await getPlan();
+  if (!plan || plan.id !== planId) {
+    return { success: false, error: 'The plan has been replaced' };
+  }
+
+  const updated = { ...plan, status, decidedAt: Date.now() };
+  await chrome.storage.local.set({ [STORAGE_KEY]: updated });
+  return { success: true, plan: updated };
+}
+
+/**
+ * Remove the current plan
+ */
+export async function clearPlan() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+  return { success: true };
+}
+
+/**
+ * Reduce a declared domain to a hostname pattern
+ * Accepts "github.com", "https://github.com/org/repo" or "*.google.com"
+ */
+function normalizePlanDomain(entry) {
+  let value = String(entry).trim().toLowerCase();
+  if (value.includes('://')) {
+    value = getDomainFromUrl(value) || '';
+  }
+  return value.split('/')[0].split(':')[0];
+}
+
+/**
+ * Check whether a plan lists a domain; a listed domain covers its subdomains
+ */
+export function isDomainInPlan(plan, domain) {
+  return plan.domains.some(pattern =>
+    matchWildcard(pattern, domain) || domain.endsWith(`.${pattern}`)
+  );
+}
+
+/**
+ * Check a URL against the approved plan when plan enforcement is on
+ * Throws PlanDomainError if the plan does not allow it
+ */
+export async function enforcePlanDomain(url) {
+  const domain = getDomainFromUrl(url);
+  if (!domain) return;
+
+  const settings = await getSettings();
+  if (!settings.enforce_plan_domains) return;
+
+  const plan = await getPlan();
+  if (!plan) {
+    throw new PlanDomainError(domain, 'no_plan');
+  }
+  if (plan.status !== PLAN_STATUS.APPROVED) {
+    throw new PlanDomainError(domain, plan.status);
+  }
+  if (!isDomainInPlan(plan, domain)) {
+    throw new PlanDomainError(domain, 'not_in_plan');
+  }
+}
+
+/**
+ * Wait until the user decides on a plan
+ * Resolves to the decision, 'pending' when the wait ends without one, or
+ * 'replaced' when another plan took its place
+ */
+export function waitForPlanDecision(planId, { timeoutMs, signal }) {
+  return new Promise(resolve => {
+    let timer;
+
+    const finish = (status) => {
+      clearTimeout(timer);
+      chrome.storage.onChanged.removeListener(onChanged);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(status);
+    };
+
+    const onChanged = (changes, areaName) => {
+      if (areaName !== 'local' || !(STORAGE_KEY in changes)) return;
+
+      const plan = changes[STORAGE_KEY].newValue;
+      if (!plan || plan.id !== planId) {
+        finish('replaced');
+      } else if (plan.status !== PLAN_STATUS.PENDING) {
+        finish(plan.status);
+      }
+    };
+    const onAbort = () => finish(PLAN_STATUS.PENDING);
+
+    chrome.storage.onChanged.addListener(onChanged);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    timer = setTimeout(() => finish(PLAN_STATUS.PENDING), timeoutMs);
+  });
+}
+
+/**
+ * Tell the user a plan is waiting for review, with Approve and Reject buttons
+ */
+export async function notifyPlanUpdated(plan) {
+  const domains = plan.domains.length > 0 ? plan.domains.join(', ') : 'no domains';
+  const steps = plan.approach.length;
+
+  try {
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${plan.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Claude has a plan for your review',
+      message: `${steps} step(s) on ${domains}`,
+      contextMessage: 'Click to see the full plan',
+      buttons: [{ title: 'Approve' }, { title: 'Reject' }],
+      requireInteraction: true
+    });
+  } catch (e) {
+    console.warn('[Plan] Could not show notification:', e.message);
+  }
+}
+
+/**
+ * Initialize listeners for the plan notification and clear it once decided
+ */
+export function initPlanListeners() {
+  chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    const planId = notificationId.slice(NOTIFICATION_PREFIX.length);
+    decidePlan(planId, buttonIndex === 0 ? PLAN_STATUS.APPROVED : PLAN_STATUS.REJECTED);
+    chrome.notifications.clear(notificationId);
+  });
+
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#plan') });
+    chrome.notifications.clear(notificationId);
+  });
+
+  // Decided (or replaced) from the options page: the notification is stale
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !(STORAGE_KEY in changes)) return;
+
+    const { oldValue, newValue } = changes[STORAGE_KEY];
+    if (oldValue?.id && (newValue?.id !== oldValue.id || newValue.status !== PLAN_STATUS.PENDING)) {
+      chrome.notifications.clear(`${NOTIFICATION_PREFIX}${oldValue.id}`);
+    }
+  });
+}
@@ -0,0 +1,45 @@
+/**
+ * Tool Progress
+ * Builds the reportProgress function handed to tool handlers; each report goes
+ * to the native host as a tool_progress message keyed by requestId
+ */
+
+// Reports within the same phase are dropped if they come faster than this
+const MIN_INTERVAL_MS = 250;
+
+/**
+ * Create a progress reporter for one tool call
+ *
+ * @param {Function} send - Delivers a tool_progress message to the host
+ * @param {object} call
+ * @param {string} call.requestId
+ * @param {string} call.tool
+ * @returns {Function} reportProgress({ phase, percent, message }); percent (0-100)
+ *   and message are optional
+ */
+export function createProgressReporter(send, { requestId, tool }) {
+  let lastPhase = null;
+  let lastSentAt = 0;
+
+  return ({ phase, percent, message } = {}) => {
+    const now = Date.now();
+    const hasPercent = Number.isFinite(percent);
+
+    // Always let a phase change or completion through, so the last state is never lost
+    if (phase === lastPhase && !(hasPercent && percent >= 100) && now - lastSentAt < MIN_INTERVAL_MS) {
+      return;
+    }
+    lastPhase = phase;
+    lastSentAt = now;
+
+    send({
+      type: 'tool_progress',
+      requestId,
+      tool,
+      phase,
+      ...(hasPercent && { percent: Math.min(100, Math.max(0, Math.round(percent))) }),
+      ...(message && { message }),
+      timestamp: now
+    });
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Native Host Protocol
+ * Protocol versioning for the hello handshake with the native host
+ */
+
+import { getChunkingCapability } from './chunking.js';
+import { ToolError } from './errors.js';
+
+// "major.minor": a major bump is a breaking change, minor bumps only add
+export const PROTOCOL_VERSION = '1.4';
+
+/**
+ * Error raised when the native host speaks an incompatible protocol revision
+ */
+export class ProtocolMismatchError extends ToolError {
+  constructor(remoteVersion) {
+    super('PROTOCOL_MISMATCH',
+      `Protocol mismatch: native host speaks protocol ${remoteVersion}, ` +
+      `this extension (v${chrome.runtime.getManifest().version}) speaks ${PROTOCOL_VERSION}. ` +
+      'Update the extension or the Claude Code CLI so both use the same major version',
+      { details: { remoteVersion, protocolVersion: PROTOCOL_VERSION } });
+    this.name = 'ProtocolMismatchError';
+  }
+}
+
+/**
+ * Error raised for a tool this extension does not route
+ */
+export class UnknownToolError extends ToolError {
+  constructor(tool, supportedTools) {
+    super('UNKNOWN_TOOL',
+      `Unknown tool: ${tool}. This extension ` +
+      `(v${chrome.runtime.getManifest().version}, protocol ${PROTOCOL_VERSION}) ` +
+      `supports: ${supportedTools.join(', ')}`,
+      { details: { tool, supportedTools, protocolVersion: PROTOCOL_VERSION } });
+    this.name = 'UnknownToolError';
+  }
+}
+
+/**
+ * Check whether a remote protocol version is compatible with ours (same major)
+ */
+export function isProtocolCompatible(remoteVersion) {
+  if (remoteVersion === undefined || remoteVersion === null) {
+    return false;
+  }
+
+  const [remoteMajor] = String(remoteVersion).split('.');
+  const [localMajor] = PROTOCOL_VERSION.split('.');
+  return remoteMajor === localMajor;
+}
+
+/**
+ * Build the hello message advertising this extension's capabilities
+ *
+ * @param {object[]} tools - Tool descriptions ({ name, description, inputSchema })
+ */
+export function buildHelloMessage(tools) {
+  return {
+    type: 'hello',
+    protocolVersion: PROTOCOL_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    extensionId: chrome.runtime.id,
+    capabilities: {
+      chunking: getChunkingCapability(),
+      progress: true
+    },
+    tools
+  };
+}
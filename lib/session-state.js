@@ -0,0 +1,71 @@
+/**
+ * Session Checkpoints
+ * Persists volatile service worker state to chrome.storage.session, so a worker
+ * restarted after being suspended can resume it or fail it cleanly
+ */
+
+import { ToolError } from './errors.js';
+
+// All checkpoint keys share this prefix, apart from other session storage users
+const KEY_PREFIX = 'checkpoint:';
+
+/**
+ * Error returned for tool requests that were in flight when the worker restarted
+ */
+export class RequestInterruptedError extends ToolError {
+  constructor(tool, startedAt) {
+    super('WORKER_RESTARTED',
+      `Tool "${tool}" was interrupted because the extension's service worker restarted. ` +
+      'Its effects may be partially applied; check the page state before retrying',
+      { details: { tool, startedAt } });
+    this.name = 'RequestInterruptedError';
+  }
+}
+
+/**
+ * Save checkpoint values
+ * Failures (e.g. the 10 MB session quota) are logged rather than thrown, since
+ * losing a checkpoint must not fail the tool call that produced it
+ *
+ * @param {object} values - key -> JSON-serializable value
+ * @returns {Promise<boolean>} Whether the values were saved
+ */
+export async function saveCheckpoint(values) {
+  const prefixed = {};
+  for (const [key, value] of Object.entries(values)) {
+    prefixed[KEY_PREFIX + key] = value;
+  }
+
+  try {
+    await chrome.storage.session.set(prefixed);
+    return true;
+  } catch (error) {
+    console.warn(`[Checkpoint] Could not save ${Object.keys(values).join(', ')}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Load checkpoint values
+ *
+ * @param {string[]} keys
+ * @returns {Promise<object>} key -> value, for keys that have a checkpoint
+ */
+export async function loadCheckpoint(keys) {
+  const result = await chrome.storage.session.get(keys.map(key => KEY_PREFIX + key));
+
+  const values = {};
+  for (const key of keys) {
+    if (result[KEY_PREFIX + key] !== undefined) {
+      values[key] = result[KEY_PREFIX + key];
+    }
+  }
+  return values;
+}
+
+/**
+ * Remove checkpoint values
+ */
+export async function removeCheckpoint(keys) {
+  await chrome.storage.session.remove(keys.map(key => KEY_PREFIX + key));
+}
@@ -0,0 +1,179 @@
+/**
+ * Shortcuts Storage
+ * Named, reusable sequences of tool calls stored in chrome.storage.local
+ * Step arguments can contain {{parameter}} placeholders filled in at execution
+ */
+
+import { ToolError } from './errors.js';
+
+const STORAGE_KEY = 'shortcuts';
+
+// {{name}} placeholders; names are letters, digits and underscores
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([A-Za-z0-9_]+)\s*\}\}$/;
+
+// Shortcut names are used as the `command` of shortcuts_execute
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Error raised when a shortcut is executed without all of its parameters
+ */
+export class MissingParametersError extends ToolError {
+  constructor(shortcut, missing) {
+    super('INVALID_ARGUMENTS', `Shortcut "${shortcut}" needs parameters: ${missing.join(', ')}`, {
+      details: { shortcut, missing }
+    });
+    this.name = 'MissingParametersError';
+  }
+}
+
+/**
+ * Get all shortcuts
+ */
+export async function getShortcuts() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return result[STORAGE_KEY] || [];
+}
+
+/**
+ * Find a shortcut by ID or name
+ */
+export async function findShortcut(idOrName) {
+  const shortcuts = await getShortcuts();
+  return shortcuts.find(s => s.id === idOrName)
+    || shortcuts.find(s => s.name.toLowerCase() === String(idOrName).toLowerCase().replace(/^\//, ''));
+}
+
+/**
+ * Create a shortcut, or update it if `shortcut.id` exists
+ *
+ * @param {object} shortcut
+ * @param {string} [shortcut.id] - ID of the shortcut to update
+ * @param {string} shortcut.name - Command name, e.g. "fill-login"
+ * @param {string} [shortcut.description]
+ * @param {object[]} shortcut.steps - [{ tool, args, stopOnError }]
+ */
+export async function saveShortcut({ id, name, description = '', steps }) {
+  const error = validateShortcut(name, steps);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const shortcuts = await getShortcuts();
+  if (shortcuts.some(s => s.name.toLowerCase() === name.toLowerCase() && s.id !== id)) {
+    return { success: false, error: `A shortcut named "${name}" already exists` };
+  }
+
+  const existing = id ? shortcuts.find(s => s.id === id) : null;
+  if (id && !existing) {
+    return { success: false, error: 'Shortcut not found' };
+  }
+
+  const entry = {
+    id: existing?.id || crypto.randomUUID(),
+    name,
+    description,
+    steps,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+
+  const updated = existing
+    ? shortcuts.map(s => (s.id === id ? entry : s))
+    : [...shortcuts, entry];
+  await chrome.storage.local.set({ [STORAGE_KEY]: updated });
+
+  return { success: true, entry };
+}
+
+/**
+ * Delete a shortcut
+ */
+export async function deleteShortcut(id) {
+  const shortcuts = await getShortcuts();
+  const filtered = shortcuts.filter(s => s.id !== id);
+
+  if (filtered.length === shortcuts.length) {
+    return { success: false, error: 'Shortcut not found' };
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
+  return { success: true };
+}
+
+/**
+ * Delete every shortcut
+ */
+export async function clearShortcuts() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+  return { success: true };
+}
+
+/**
+ * Check a shortcut's name and steps, returning an error message or null
+ */
+function validateShortcut(name, steps) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    return 'Name must start with a letter or digit and contain only letters, digits, "-" and "_"';
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'Steps must be a non-empty array';
+  }
+
+  for (const [index, step] of steps.entries()) {
+    if (!step || typeof step.tool !== 'string' || !step.tool) {
+      return `Step ${index} needs a "tool" name`;
+    }
+    if (step.tool === 'batch' || step.tool === 'shortcuts_execute') {
+      return `Step ${index} cannot run ${step.tool}; shortcuts cannot nest`;
+    }
+    if (step.args !== undefined && (typeof step.args !== 'object' || Array.isArray(step.args))) {
+      return `Step ${index} "args" must be an object`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the {{parameter}} names used by a shortcut's steps
+ */
+export function getShortcutParameters(shortcut) {
+  const names = new Set();
+  const text = JSON.stringify(shortcut.steps);
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Get a shortcut's steps with placeholders filled in
+ * A value that is just "{{name}}" takes the parameter as is (number, object...);
+ * placeholders inside longer strings are replaced by the parameter as text
+ */
+export function expandShortcut(shortcut, parameters = {}) {
+  const missing = getShortcutParameters(shortcut).filter(name => parameters[name] === undefined);
+  if (missing.length > 0) {
+    throw new MissingParametersError(shortcut.name, missing);
+  }
+
+  const fill = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(fill);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+    }
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+      if (whole) {
+        return parameters[whole[1]];
+      }
+      return value.replace(PLACEHOLDER_PATTERN, (_, name) => String(parameters[name]));
+    }
+    return value;
+  };
+
+  return shortcut.steps.map(step => ({ ...step, args: fill(step.args || {}) }));
+}
@@ -0,0 +1,122 @@
+/**
+ * Stop Button
+ * Shows the "Stop Claude" button, with the native host connection status, on
+ * every tab of a session's group while the session controls them: from its
+ * first tool call until automation is stopped or the native host disconnects
+ * Tabs that join the group, or load a new page, get the button as well
+ */
+
+import { saveCheckpoint, loadCheckpoint } from './session-state.js';
+import { getManagedGroups, DEFAULT_SESSION } from './managed-groups.js';
+
+// Keys of the sessions controlling their group
+let controllingSessions = new Set();
+
+// Tabs the button was shown on, for connection state updates
+const buttonTabs = new Set();
+
+// Returns the current connection state; set by initStopButtonListeners
+let getConnectionState = () => null;
+
+const sessionsRestored = loadCheckpoint(['controllingSessions']).then(({ controllingSessions: saved }) => {
+  if (saved) {
+    controllingSessions = new Set([...saved, ...controllingSessions]);
+  }
+});
+
+/**
+ * Checkpoint the controlling sessions
+ */
+function persist() {
+  return saveCheckpoint({ controllingSessions: [...controllingSessions] });
+}
+
+/**
+ * Get the tab IDs of a session's group, adopted popups included
+ */
+async function getSessionTabIds(key) {
+  const record = (await getManagedGroups())[key];
+  if (!record) return [];
+
+  const tabs = await chrome.tabs.query({ groupId: record.groupId }).catch(() => []);
+  return [...tabs.map(tab => tab.id), ...record.popupTabIds];
+}
+
+/**
+ * Find the controlling session whose group a tab belongs to
+ */
+async function findControllingSession(tab) {
+  const groups = await getManagedGroups();
+  return [...controllingSessions].find(key => groups[key]
+    && (groups[key].groupId === tab.groupId || groups[key].popupTabIds.includes(tab.id)));
+}
+
+function showButton(tabId) {
+  chrome.tabs.sendMessage(tabId, { type: 'show_stop_button', connectionState: getConnectionState() })
+    .then(() => buttonTabs.add(tabId), () => {});
+}
+
+function hideButton(tabId) {
+  buttonTabs.delete(tabId);
+  chrome.tabs.sendMessage(tabId, { type: 'hide_stop_button' }).catch(() => {});
+}
+
+/**
+ * Mark a session as controlling its group, showing the button on its tabs
+ */
+export async function startControlling(sessionId) {
+  await sessionsRestored;
+  const key = sessionId || DEFAULT_SESSION;
+  if (controllingSessions.has(key)) return;
+
+  controllingSessions.add(key);
+  await persist();
+  for (const tabId of await getSessionTabIds(key)) {
+    showButton(tabId);
+  }
+}
+
+/**
+ * End the control of every session (automation stopped, native host gone),
+ * removing the button from their tabs
+ */
+export async function stopControllingAll() {
+  await sessionsRestored;
+  controllingSessions.clear();
+  await persist();
+  for (const tabId of [...buttonTabs]) {
+    hideButton(tabId);
+  }
+}
+
+/**
+ * Get the tabs showing the button
+ */
+export function getStopButtonTabs() {
+  return [...buttonTabs];
+}
+
+/**
+ * Initialize the listeners that keep the button on the controlled tabs
+ *
+ * @param {Function} connectionState - Returns the native host connection state
+ */
+export function initStopButtonListeners(connectionState) {
+  getConnectionState = connectionState;
+
+  chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // A new page has no button yet; a tab joining or leaving a group gains or loses it
+    if (changeInfo.status !== 'complete' && !('groupId' in changeInfo)) return;
+
+    await sessionsRestored;
+    if (await findControllingSession(tab)) {
+      showButton(tabId);
+    } else if (buttonTabs.has(tabId)) {
+      hideButton(tabId);
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    buttonTabs.delete(tabId);
+  });
+}
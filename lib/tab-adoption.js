@@ -0,0 +1,232 @@
+/**
+ * Tab Adoption
+ * Asks the user to pick one of their open tabs for Claude to use (tabs_adopt);
+ * the choice is made in the options page, and the tab's original place is kept
+ * so tabs_release can put it back
+ */
+
+import { saveCheckpoint, loadCheckpoint } from './session-state.js';
+import { removeManagedTab } from './managed-groups.js';
+
+const STORAGE_KEY = 'tabAdoptionRequest';
+const NOTIFICATION_PREFIX = 'adopt_';
+
+export const ADOPTION_STATUS = {
+  PENDING: 'pending',
+  CHOSEN: 'chosen',
+  DECLINED: 'declined'
+};
+
+// Adopted tab ID -> { windowId, index } it was taken from
+let tabOrigins = {};
+
+const originsRestored = loadCheckpoint(['adoptedTabOrigins']).then(({ adoptedTabOrigins: saved }) => {
+  if (saved) {
+    tabOrigins = { ...saved, ...tabOrigins };
+  }
+});
+
+/**
+ * Get the pending adoption request, or null
+ *
+ * @returns {Promise<{ id, sessionId, reason, candidates, status, tabId, createdAt }|null>}
+ */
+export async function getAdoptionRequest() {
+  const result = await chrome.storage.session.get(STORAGE_KEY);
+  return result[STORAGE_KEY] || null;
+}
+
+/**
+ * Ask the user to choose one of the candidate tabs, replacing any earlier request
+ *
+ * @param {object} request
+ * @param {string|null} request.sessionId - Session asking for the tab
+ * @param {string} [request.reason] - Why Claude needs a tab, shown to the user
+ * @param {object[]} request.candidates - { id, title, url } of the tabs that may be chosen
+ */
+export async function createAdoptionRequest({ sessionId, reason, candidates }) {
+  const request = {
+    id: crypto.randomUUID(),
+    sessionId,
+    reason: reason || null,
+    candidates,
+    status: ADOPTION_STATUS.PENDING,
+    tabId: null,
+    createdAt: Date.now()
+  };
+
+  await chrome.storage.session.set({ [STORAGE_KEY]: request });
+  return request;
+}
+
+/**
+ * Answer an adoption request with the chosen tab, or null to decline
+ * Ignored if the request was replaced or already answered
+ */
+export async function answerAdoptionRequest(requestId, tabId) {
+  const request = await getAdoptionRequest();
+  if (!request || request.id !== requestId || request.status !== ADOPTION_STATUS.PENDING) {
+    return { success: false, error: 'The request is no longer pending' };
+  }
+  if (tabId !== null && !request.candidates.some(candidate => candidate.id === tabId)) {
+    return { success: false, error: `Tab ${tabId} was not offered` };
+  }
+
+  const status = tabId === null ? ADOPTION_STATUS.DECLINED : ADOPTION_STATUS.CHOSEN;
+  await chrome.storage.session.set({ [STORAGE_KEY]: { ...request, status, tabId } });
+  return { success: true };
+}
+
+/**
+ * Remove an adoption request once its tool call is over
+ */
+export async function clearAdoptionRequest(requestId) {
+  const request = await getAdoptionRequest();
+  if (request?.id === requestId) {
+    await chrome.storage.session.remove(STORAGE_KEY);
+  }
+}
+
+/**
+ * Wait until the user answers an adoption request
+ * Resolves to { status, tabId }; status is 'pending' when the wait ends without
+ * an answer, or 'replaced' when another request took its place
+ */
+export function waitForAdoptionAnswer(requestId, { timeoutMs, signal }) {
+  return new Promise(resolve => {
+    let timer;
+
+    const finish = (status, tabId = null) => {
+      clearTimeout(timer);
+      chrome.storage.onChanged.removeListener(onChanged);
+      signal?.removeEventListener('abort', onAbort);
+      resolve({ status, tabId });
+    };
+
+    const onChanged = (changes, areaName) => {
+      if (areaName !== 'session' || !(STORAGE_KEY in changes)) return;
+
+      const request = changes[STORAGE_KEY].newValue;
+      if (!request || request.id !== requestId) {
+        finish('replaced');
+      } else if (request.status !== ADOPTION_STATUS.PENDING) {
+        finish(request.status, request.tabId);
+      }
+    };
+    const onAbort = () => finish(ADOPTION_STATUS.PENDING);
+
+    chrome.storage.onChanged.addListener(onChanged);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    timer = setTimeout(() => finish(ADOPTION_STATUS.PENDING), timeoutMs);
+  });
+}
+
+/**
+ * Remember where an adopted tab came from
+ */
+export async function rememberTabOrigin(tabId, origin) {
+  await originsRestored;
+  tabOrigins[tabId] = origin;
+  await saveCheckpoint({ adoptedTabOrigins: tabOrigins });
+}
+
+/**
+ * Get and forget where an adopted tab came from, or null if it was not adopted
+ */
+export async function takeTabOrigin(tabId) {
+  await originsRestored;
+  const origin = tabOrigins[tabId] ?? null;
+  if (origin) {
+    delete tabOrigins[tabId];
+    await saveCheckpoint({ adoptedTabOrigins: tabOrigins });
+  }
+  return origin;
+}
+
+/**
+ * Check whether a tab was shared by the user with tabs_adopt
+ */
+export async function isAdoptedTab(tabId) {
+  await originsRestored;
+  return tabId in tabOrigins;
+}
+
+/**
+ * Take a tab out of a session's group and hand it back to the user
+ * An adopted tab returns to the window it was taken from, if that is still open
+ *
+ * @returns {Promise<boolean>} Whether the tab went back to its original window
+ */
+export async function releaseTab(tabId, sessionId) {
+  const tab = await chrome.tabs.get(tabId);
+  const origin = await takeTabOrigin(tabId);
+
+  if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+    await chrome.tabs.ungroup(tabId);
+  }
+  await removeManagedTab(sessionId, tabId);
+
+  if (origin && origin.windowId !== tab.windowId) {
+    try {
+      await chrome.tabs.move(tabId, { windowId: origin.windowId, index: origin.index });
+      return true;
+    } catch (error) {
+      // The original window was closed; the tab stays where it is
+    }
+  }
+  return false;
+}
+
+/**
+ * Tell the user Claude is asking for a tab
+ */
+export async function notifyAdoptionRequested(request) {
+  try {
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${request.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Claude is asking to use one of your tabs',
+      message: request.reason || 'Choose a tab to share, or decline',
+      contextMessage: 'Click to choose a tab',
+      buttons: [{ title: 'Choose a tab' }, { title: 'Decline' }],
+      requireInteraction: true
+    });
+  } catch (e) {
+    console.warn('[Adoption] Could not show notification:', e.message);
+  }
+}
+
+/**
+ * Initialize listeners for the adoption notification and clear it once answered
+ */
+export function initAdoptionListeners() {
+  const openChooser = () => chrome.tabs.create({ url: chrome.runtime.getURL('options.html#tabs') });
+
+  chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    if (buttonIndex === 0) {
+      openChooser();
+    } else {
+      answerAdoptionRequest(notificationId.slice(NOTIFICATION_PREFIX.length), null);
+    }
+    chrome.notifications.clear(notificationId);
+  });
+
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    openChooser();
+    chrome.notifications.clear(notificationId);
+  });
+
+  // Answered from the options page, timed out or replaced: the notification is stale
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'session' || !(STORAGE_KEY in changes)) return;
+
+    const { oldValue, newValue } = changes[STORAGE_KEY];
+    if (oldValue?.id && (newValue?.id !== oldValue.id || newValue.status !== ADOPTION_STATUS.PENDING)) {
+      chrome.notifications.clear(`${NOTIFICATION_PREFIX}${oldValue.id}`);
+    }
+  });
+}
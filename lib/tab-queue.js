@@ -0,0 +1,128 @@
+/**
+ * Tab Action Queue
+ * Runs tool calls on the same tab strictly in arrival order; different tabs run
+ * in parallel. Read-only calls can optionally share the tab with each other,
+ * but never with a mutating call, and never overtake one that is queued
+ */
+
+import { throwIfAborted } from './cancellation.js';
+
+// tabId -> { running: { readers, exclusive }, waiting: [{ readOnly, concurrentReads, start }] }
+const queues = new Map();
+
+/**
+ * Get or create the queue of a tab
+ */
+function getQueue(tabId) {
+  let queue = queues.get(tabId);
+  if (!queue) {
+    queue = { running: { readers: 0, exclusive: false }, waiting: [] };
+    queues.set(tabId, queue);
+  }
+  return queue;
+}
+
+/**
+ * Check whether an operation can start alongside what is running
+ */
+function canStart(queue, readOnly, concurrentReads) {
+  const { readers, exclusive } = queue.running;
+  if (exclusive) return false;
+  if (readOnly && concurrentReads) return true;
+  return readers === 0;
+}
+
+/**
+ * Start waiting operations from the head of the queue while they fit
+ */
+function drain(tabId, queue) {
+  while (queue.waiting.length > 0) {
+    const next = queue.waiting[0];
+    if (!canStart(queue, next.readOnly, next.concurrentReads)) break;
+
+    queue.waiting.shift();
+    next.start();
+  }
+
+  if (queue.waiting.length === 0 && queue.running.readers === 0 && !queue.running.exclusive) {
+    queues.delete(tabId);
+  }
+}
+
+/**
+ * Wait for a turn on a tab
+ *
+ * @param {number} tabId
+ * @param {object} options
+ * @param {boolean} options.readOnly - The operation does not change the page
+ * @param {boolean} options.concurrentReads - Let read-only operations run together
+ * @param {AbortSignal} [options.signal] - Gives up the place in the queue when aborted
+ * @returns {Promise<{ release: Function, depth: number, waitMs: number }>} `depth` is
+ *   the number of operations running or queued ahead at arrival; call `release()`
+ *   when done
+ */
+export async function acquireTabTurn(tabId, { readOnly, concurrentReads, signal }) {
+  throwIfAborted(signal);
+
+  const queue = getQueue(tabId);
+  const { readers, exclusive } = queue.running;
+  const depth = readers + (exclusive ? 1 : 0) + queue.waiting.length;
+  const enqueuedAt = Date.now();
+
+  await new Promise((resolve, reject) => {
+    const entry = {
+      readOnly,
+      concurrentReads,
+      start() {
+        signal?.removeEventListener('abort', onAbort);
+        if (readOnly && concurrentReads) {
+          queue.running.readers++;
+        } else {
+          queue.running.exclusive = true;
+        }
+        resolve();
+      }
+    };
+
+    const onAbort = () => {
+      queue.waiting.splice(queue.waiting.indexOf(entry), 1);
+      reject(signal.reason);
+      drain(tabId, queue);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    queue.waiting.push(entry);
+    drain(tabId, queue);
+  });
+
+  let released = false;
+  return {
+    depth,
+    waitMs: Date.now() - enqueuedAt,
+    release() {
+      if (released) return;
+      released = true;
+
+      if (readOnly && concurrentReads) {
+        queue.running.readers--;
+      } else {
+        queue.running.exclusive = false;
+      }
+      drain(tabId, queue);
+    }
+  };
+}
+
+/**
+ * Get queue lengths per tab, for diagnostics
+ */
+export function getTabQueueStats() {
+  const byTab = {};
+  for (const [tabId, queue] of queues) {
+    byTab[tabId] = {
+      running: queue.running.readers + (queue.running.exclusive ? 1 : 0),
+      waiting: queue.waiting.length
+    };
+  }
+  return byTab;
+}
@@ -0,0 +1,212 @@
+/**
+ * Tool Registry
+ * Tools in tools/*.js register here with their argument schema and routing metadata;
+ * the service worker routes and validates calls from this registry
+ */
+
+import { ToolError } from './errors.js';
+
+// name -> tool definition
+const tools = new Map();
+
+// Accepted by every tool: overrides the call's deadline
+const TIMEOUT_MS_SCHEMA = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Deadline for this call in milliseconds'
+};
+
+/**
+ * Schemas for arguments shared by many tools
+ */
+export const COMMON_SCHEMAS = {
+  tabId: { type: 'integer', description: 'Tab ID from tabs_context_mcp' },
+  coordinate: {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2,
+    description: '[x, y] in viewport pixels'
+  }
+};
+
+/**
+ * Error raised when tool arguments do not match the tool's schema
+ */
+export class ArgumentValidationError extends ToolError {
+  constructor(tool, fields) {
+    super('INVALID_ARGUMENTS', `Invalid arguments for ${tool}: ${fields.map(f => f.message).join('; ')}`, {
+      details: { tool, fields }
+    });
+    this.name = 'ArgumentValidationError';
+  }
+}
+
+/**
+ * Register a tool
+ *
+ * @param {object} definition
+ * @param {string} definition.name - Tool name as called by the CLI
+ * @param {string} definition.description - One-line description for the handshake
+ * @param {object} [definition.properties] - JSON schemas of the arguments
+ * @param {string[]} [definition.required] - Required argument names
+ * @param {Function} definition.handler - async (args, context) => result
+ * @param {string} definition.permission - Permission category: 'tabs', 'read',
+ *   'interact', 'navigate', 'media' or 'meta'
+ * @param {boolean} [definition.showIndicator] - Show the visual indicator while running
+ * @param {boolean} [definition.checksTabUrl] - Check the page of args.tabId against
+ *   the domain lists and the plan (default true); off for tools that must work on
+ *   any page, such as closing a tab or leaving a page by navigating
+ * @param {boolean} [definition.targetsUrl] - args.url is a page to open, checked
+ *   against the domain lists and the plan like a navigation target
+ * @param {number} [definition.timeoutMs] - Default deadline, if not the global default
+ */
+export function registerTool(definition) {
+  const { name, handler, permission } = definition;
+
+  if (tools.has(name)) {
+    throw new Error(`Tool already registered: ${name}`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Tool ${name} has no handler`);
+  }
+  if (!permission) {
+    throw new Error(`Tool ${name} has no permission category`);
+  }
+
+  tools.set(name, {
+    properties: {},
+    required: [],
+    showIndicator: false,
+    checksTabUrl: true,
+    targetsUrl: false,
+    timeoutMs: null,
+    ...definition
+  });
+}
+
+/**
+ * Get a registered tool, or undefined
+ */
+export function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * Get the names of all registered tools
+ */
+export function getToolNames() {
+  return [...tools.keys()];
+}
+
+/**
+ * Describe every registered tool with its JSON schema, for the handshake
+ */
+export function describeTools() {
+  return [...tools.values()].map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: getInputSchema(tool)
+  }));
+}
+
+/**
+ * Get the full JSON schema of a tool's arguments
+ */
+function getInputSchema(tool) {
+  return {
+    type: 'object',
+    properties: { ...tool.properties, timeoutMs: TIMEOUT_MS_SCHEMA },
+    required: tool.required
+  };
+}
+
+/**
+ * Validate arguments against a tool's schema
+ * Throws ArgumentValidationError listing every invalid field
+ */
+export function validateToolArgs(name, args) {
+  const tool = tools.get(name);
+  const errors = validateValue(getInputSchema(tool), args, '');
+
+  if (errors.length > 0) {
+    throw new ArgumentValidationError(name, errors);
+  }
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, enum, required, properties, items, minimum/maximum, minItems/maxItems
+ */
+function validateValue(schema, value, path) {
+  const errors = [];
+  const field = path || 'arguments';
+  const fail = (message) => errors.push({ field, message: `${field} ${message}` });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      fail(`must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(schema.items, item, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (schema.type === 'object' && value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        const requiredField = path ? `${path}.${key}` : key;
+        errors.push({ field: requiredField, message: `${requiredField} is required` });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validateValue(propertySchema, value[key], path ? `${path}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON schema type name
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
@@ -15,7 +15,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.action) {
     case 'generate_gif':
-      generateGif(message.frames, message.actions, message.options)
+      generateGif(message.frames, message.actions, message.options, message.progressId)
         .then(dataUrl => sendResponse({ dataUrl }))
         .catch(error => sendResponse({ error: error.message }));
       return true; // Keep channel open
@@ -37,10 +37,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Report export progress to the service worker
+ * Drawing the frames is the first half of the work, encoding them the second
+ */
+function reportGifProgress(progressId, phase, percent, message) {
+  chrome.runtime.sendMessage({ type: 'gif_progress', progressId, phase, percent, message })
+    .catch(() => {});
+}
+
 /**
  * Generate GIF from frames
  */
-async function generateGif(frames, actions, options) {
+async function generateGif(frames, actions, options, progressId) {
   if (!frames || frames.length === 0) {
     throw new Error('No frames provided');
   }
@@ -108,6 +117,8 @@ async function generateGif(frames, actions, options) {
 
     // Add frame to GIF
     gif.addFrame(canvas, { delay: frame.delay || 100 });
+    reportGifProgress(progressId, 'render_frames', ((i + 1) / frames.length) * 50,
+      `Rendered frame ${i + 1} of ${frames.length}`);
   }
 
   // Render GIF
@@ -119,6 +130,10 @@ async function generateGif(frames, actions, options) {
       reader.readAsDataURL(blob);
     });
 
+    gif.on('progress', fraction => {
+      reportGifProgress(progressId, 'encode_gif', 50 + fraction * 50,
+        `Encoding frame ${Math.round(fraction * frames.length)} of ${frames.length}`);
+    });
     gif.on('error', error => reject(error));
     gif.render();
   });
@@ -13,9 +13,31 @@ import {
   removeAllowedDomain,
   addBlockedDomain,
   removeBlockedDomain,
+  removeApprovedDomain,
   exportData,
-  importData
+  importData,
+  MAX_APPROVAL_TIMEOUT_SECONDS
 } from './lib/permissions.js';
+import { getStopState } from './lib/kill-switch.js';
+import { queryAuditLog, getAuditLogTools, exportAuditLog, clearAuditLog } from './lib/audit-log.js';
+import {
+  getShortcuts,
+  saveShortcut,
+  deleteShortcut,
+  clearShortcuts,
+  getShortcutParameters
+} from './lib/shortcuts.js';
+import { getPlan, decidePlan, clearPlan, PLAN_STATUS } from './lib/plan.js';
+import { getAdoptionRequest, answerAdoptionRequest, ADOPTION_STATUS } from './lib/tab-adoption.js';
+
+// ID of the shortcut open in the editor, or null for a new one
+let editingShortcutId = null;
+
+// ID of the plan shown in the Plan tab, so a decision applies to what the user saw
+let displayedPlanId = null;
+
+// ID of the tab request shown in the Tabs tab
+let displayedAdoptionId = null;
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
@@ -26,6 +48,12 @@ async function init() {
 
   // Load and display current settings
   await loadSettings();
+  await loadStopState();
+  await loadPlan();
+  await loadAdoptionRequest();
+  await loadShortcuts();
+  await loadActivity();
+  await loadDiagnostics();
 
   // Setup event listeners
   setupEventListeners();
@@ -56,17 +84,22 @@ function setupTabs() {
       document.getElementById(tabId).classList.add('active');
     });
   });
+
+  // Open the tab named in the URL, e.g. options.html#plan from the plan notification
+  const initialTab = document.querySelector(`.tab[data-tab="${location.hash.slice(1)}"]`);
+  initialTab?.click();
 }
 
 /**
  * Load settings and populate UI
  */
 async function loadSettings() {
-  const { allowed_domains, blocked_domains, settings } = await getAllPermissions();
+  const { allowed_domains, blocked_domains, approved_domains, settings } = await getAllPermissions();
 
   // Populate domain lists
   renderDomainList('allowedDomainsList', allowed_domains, 'allowed');
   renderDomainList('blockedDomainsList', blocked_domains.map(d => ({ domain: d })), 'blocked');
+  renderDomainList('approvedDomainsList', approved_domains, 'approved');
 
   // Populate settings toggles
   document.getElementById('requireApprovalClicks').checked = settings.require_approval_for_clicks;
@@ -74,13 +107,293 @@ async function loadSettings() {
   document.getElementById('requireApprovalDownloads').checked = settings.require_approval_for_downloads;
   document.getElementById('requireApprovalNavigation').checked = settings.require_approval_for_navigation;
   document.getElementById('autoApproveSameDomain').checked = settings.auto_approve_same_domain;
+  document.getElementById('approvalTimeout').value = settings.approval_timeout_seconds;
+  document.getElementById('allowConcurrentReads').checked = settings.allow_concurrent_reads;
+  document.getElementById('enforcePlanDomains').checked = settings.enforce_plan_domains;
   document.getElementById('showVisualIndicator').checked = settings.show_visual_indicator;
   document.getElementById('indicatorColor').value = settings.indicator_color;
   document.getElementById('notificationsEnabled').checked = settings.notifications_enabled;
 
+  // Populate audit log settings
+  document.getElementById('auditLogEnabled').checked = settings.audit_log_enabled;
+  document.getElementById('auditLogMaxEntries').value = settings.audit_log_max_entries;
+  document.getElementById('auditLogRetentionDays').value = settings.audit_log_retention_days;
+
   // Populate tab group settings
   document.getElementById('tabGroupName').value = settings.tab_group_name || 'Facai';
   document.getElementById('tabGroupColor').value = settings.tab_group_color || 'orange';
+  document.getElementById('tabGroupCleanup').value = settings.tab_group_cleanup;
+  document.getElementById('tabGroupCleanupTrigger').value = settings.tab_group_cleanup_trigger;
+  document.getElementById('tabGroupCleanupIdleMinutes').value = settings.tab_group_cleanup_idle_minutes;
+}
+
+/**
+ * Load kill switch state and update the stop/resume control
+ */
+async function loadStopState() {
+  const state = await getStopState();
+  const statusEl = document.getElementById('automationStatus');
+  const button = document.getElementById('toggleAutomation');
+
+  if (state.stopped) {
+    statusEl.textContent = `Stopped ${formatDate(state.stoppedAt)} - tool calls are refused`;
+    button.textContent = 'Resume';
+    button.className = 'btn btn-primary';
+  } else {
+    statusEl.textContent = 'Running';
+    button.textContent = 'Stop Claude';
+    button.className = 'btn btn-danger';
+  }
+
+  button.dataset.stopped = String(Boolean(state.stopped));
+}
+
+/**
+ * Load the current plan and render its steps, domains and status
+ */
+async function loadPlan() {
+  const plan = await getPlan();
+  const statusEl = document.getElementById('planStatus');
+  const approachList = document.getElementById('planApproach');
+  const domainList = document.getElementById('planDomains');
+
+  displayedPlanId = plan?.id || null;
+  document.getElementById('approvePlan').disabled = !plan || plan.status === PLAN_STATUS.APPROVED;
+  document.getElementById('rejectPlan').disabled = !plan || plan.status === PLAN_STATUS.REJECTED;
+
+  if (!plan) {
+    statusEl.textContent = 'No plan yet';
+    statusEl.className = 'plan-status';
+    approachList.innerHTML = '<li class="empty-state">Claude has not shared a plan</li>';
+    domainList.innerHTML = '<li class="empty-state">No domains declared</li>';
+    return;
+  }
+
+  const statusText = {
+    [PLAN_STATUS.PENDING]: 'Waiting for your review',
+    [PLAN_STATUS.APPROVED]: `Approved ${formatDate(plan.decidedAt)}`,
+    [PLAN_STATUS.REJECTED]: `Rejected ${formatDate(plan.decidedAt)}`
+  }[plan.status];
+  statusEl.textContent = `${statusText} - updated ${formatDate(plan.createdAt)}`;
+  statusEl.className = `plan-status status-${plan.status}`;
+
+  approachList.innerHTML = plan.approach.length > 0
+    ? plan.approach.map(step => `<li>${escapeHtml(step)}</li>`).join('')
+    : '<li class="empty-state">No steps declared</li>';
+
+  domainList.innerHTML = plan.domains.length > 0
+    ? plan.domains.map(domain => `
+      <li>
+        <div class="domain-info">
+          <span class="domain-name">${escapeHtml(domain)}</span>
+        </div>
+      </li>
+    `).join('')
+    : '<li class="empty-state">No domains declared</li>';
+}
+
+/**
+ * Load the pending tab request and render its candidate tabs
+ */
+async function loadAdoptionRequest() {
+  const request = await getAdoptionRequest();
+  const statusEl = document.getElementById('adoptionStatus');
+  const reasonEl = document.getElementById('adoptionReason');
+  const list = document.getElementById('adoptionCandidates');
+  const isPending = request?.status === ADOPTION_STATUS.PENDING;
+
+  displayedAdoptionId = isPending ? request.id : null;
+  document.getElementById('shareTab').disabled = !isPending;
+  document.getElementById('declineTab').disabled = !isPending;
+
+  if (!isPending) {
+    statusEl.textContent = 'No request';
+    statusEl.className = 'plan-status';
+    reasonEl.textContent = '';
+    list.innerHTML = '<li class="empty-state">Claude has not asked for a tab</li>';
+    return;
+  }
+
+  statusEl.textContent = `Claude is asking for a tab - ${formatDate(request.createdAt)}`;
+  statusEl.className = 'plan-status status-pending';
+  reasonEl.textContent = request.reason || '';
+
+  list.innerHTML = request.candidates.map((tab, index) => `
+    <li>
+      <label>
+        <input type="radio" name="adoptionCandidate" value="${tab.id}" ${index === 0 ? 'checked' : ''}>
+        ${tab.favIconUrl ? `<img src="${escapeHtml(tab.favIconUrl)}" alt="">` : ''}
+        <span class="candidate-info">
+          <span>${escapeHtml(tab.title || tab.url)}</span>
+          <span class="candidate-url">${escapeHtml(tab.url)}</span>
+        </span>
+      </label>
+    </li>
+  `).join('');
+}
+
+/**
+ * Load shortcuts and render the list
+ */
+async function loadShortcuts() {
+  const shortcuts = await getShortcuts();
+  const list = document.getElementById('shortcutsList');
+
+  if (shortcuts.length === 0) {
+    list.innerHTML = '<li class="empty-state">No shortcuts yet</li>';
+    return;
+  }
+
+  list.innerHTML = shortcuts.map(shortcut => {
+    const parameters = getShortcutParameters(shortcut);
+    return `
+      <li>
+        <div class="domain-info">
+          <span class="domain-name">${escapeHtml(shortcut.name)}</span>
+          <span class="domain-meta">${escapeHtml(shortcut.description || `${shortcut.steps.length} step(s)`)}${
+            parameters.length > 0 ? ` &middot; parameters: ${escapeHtml(parameters.join(', '))}` : ''}</span>
+        </div>
+        <div class="shortcut-actions">
+          <button class="edit-btn" data-id="${shortcut.id}">Edit</button>
+          <button class="remove-btn" data-id="${shortcut.id}">&times;</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => editShortcut(shortcuts.find(s => s.id === btn.dataset.id)));
+  });
+  list.querySelectorAll('.remove-btn').forEach(btn => {
+    btn.addEventListener('click', handleDeleteShortcut);
+  });
+}
+
+/**
+ * Open a shortcut in the editor, or reset the editor for a new one
+ */
+function editShortcut(shortcut) {
+  editingShortcutId = shortcut?.id || null;
+  document.getElementById('shortcutEditorTitle').textContent = shortcut ? `Edit "${shortcut.name}"` : 'New Shortcut';
+  document.getElementById('shortcutName').value = shortcut?.name || '';
+  document.getElementById('shortcutDescription').value = shortcut?.description || '';
+  document.getElementById('shortcutSteps').value = shortcut ? JSON.stringify(shortcut.steps, null, 2) : '';
+}
+
+/**
+ * Get the activity filters currently set in the UI
+ */
+function getActivityFilters() {
+  return {
+    search: document.getElementById('activitySearch').value.trim(),
+    domain: document.getElementById('activityDomain').value.trim(),
+    tool: document.getElementById('activityTool').value,
+    outcome: document.getElementById('activityOutcome').value
+  };
+}
+
+/**
+ * Load the audit log and render entries matching the filters
+ */
+async function loadActivity() {
+  const toolSelect = document.getElementById('activityTool');
+  const selectedTool = toolSelect.value;
+  const tools = await getAuditLogTools();
+  toolSelect.innerHTML = '<option value="">All tools</option>' +
+    tools.map(tool => `<option value="${escapeHtml(tool)}">${escapeHtml(tool)}</option>`).join('');
+  toolSelect.value = tools.includes(selectedTool) ? selectedTool : '';
+
+  const entries = await queryAuditLog(getActivityFilters());
+  const list = document.getElementById('activityList');
+
+  if (entries.length === 0) {
+    list.innerHTML = '<li class="empty-state">No activity recorded</li>';
+    return;
+  }
+
+  list.innerHTML = entries.map(entry => `
+    <li class="outcome-${entry.outcome}">
+      <div class="activity-header">
+        <span class="activity-tool">${escapeHtml(entry.tool)}</span>
+        <span class="activity-meta">${entry.outcome} &middot; ${entry.durationMs}ms &middot; ${new Date(entry.timestamp).toLocaleString()}</span>
+      </div>
+      ${entry.tabUrl ? `<div class="activity-meta">${escapeHtml(entry.tabUrl)}</div>` : ''}
+      ${entry.error ? `<div class="activity-error">${escapeHtml(entry.error.message)}</div>` : ''}
+      <div class="activity-args">${escapeHtml(JSON.stringify(entry.args))}</div>
+    </li>
+  `).join('');
+}
+
+/**
+ * Load diagnostics and performance metrics from the service worker
+ */
+async function loadDiagnostics() {
+  let diagnostics;
+  try {
+    diagnostics = await chrome.runtime.sendMessage({ type: 'get_diagnostics' });
+  } catch (error) {
+    document.getElementById('diagMetricsSince').textContent = `Could not reach the extension: ${error.message}`;
+    return;
+  }
+
+  const queued = Object.values(diagnostics.tabQueues).reduce((sum, queue) => sum + queue.waiting, 0);
+  document.getElementById('diagPendingRequests').textContent = diagnostics.inflightRequests;
+  document.getElementById('diagQueuedCalls').textContent = queued;
+  document.getElementById('diagDebuggerSessions').textContent = diagnostics.debuggerSessions;
+  document.getElementById('diagStoredScreenshots').textContent = diagnostics.storedScreenshots;
+  document.getElementById('diagKeepaliveHolders').textContent = diagnostics.keepaliveHolders;
+
+  const { metrics } = diagnostics;
+  document.getElementById('diagMetricsSince').textContent =
+    `Latency and error rates since ${new Date(metrics.since).toLocaleString()}; percentiles are estimated from histogram buckets`;
+  renderMetricsTable('diagToolMetrics', 'Tool', metrics.tools);
+  renderMetricsTable('diagDomainMetrics', 'Domain', metrics.domains);
+  renderMetricsTable('diagOperationMetrics', 'Operation', metrics.operations);
+}
+
+/**
+ * Render metric summaries as a table
+ */
+function renderMetricsTable(elementId, label, rows) {
+  const container = document.getElementById(elementId);
+
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="empty-state">Nothing recorded yet</p>';
+    return;
+  }
+
+  const formatMs = (ms) => ms === null ? '-' : `${ms}ms`;
+  container.innerHTML = `
+    <table class="metrics-table">
+      <thead>
+        <tr><th>${label}</th><th>Calls</th><th>Errors</th><th>Avg</th><th>p50</th><th>p95</th><th>Max</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${escapeHtml(row.key)}</td>
+            <td>${row.count}</td>
+            <td class="${row.errors > 0 ? 'has-errors' : ''}">${row.errors} (${Math.round(row.errorRate * 100)}%)</td>
+            <td>${formatMs(row.avgMs)}</td>
+            <td>${formatMs(row.p50Ms)}</td>
+            <td>${formatMs(row.p95Ms)}</td>
+            <td>${formatMs(row.maxMs)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Escape text for insertion into HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
@@ -165,6 +478,17 @@ function setupEventListeners() {
   document.getElementById('autoApproveSameDomain').addEventListener('change', (e) => {
     updateSetting('auto_approve_same_domain', e.target.checked);
   });
+  document.getElementById('approvalTimeout').addEventListener('change', (e) => {
+    const seconds = Math.min(MAX_APPROVAL_TIMEOUT_SECONDS, Math.max(5, parseInt(e.target.value, 10) || 60));
+    e.target.value = seconds;
+    updateSetting('approval_timeout_seconds', seconds);
+  });
+  document.getElementById('enforcePlanDomains').addEventListener('change', (e) => {
+    updateSetting('enforce_plan_domains', e.target.checked);
+  });
+  document.getElementById('allowConcurrentReads').addEventListener('change', (e) => {
+    updateSetting('allow_concurrent_reads', e.target.checked);
+  });
   document.getElementById('showVisualIndicator').addEventListener('change', (e) => {
     updateSetting('show_visual_indicator', e.target.checked);
   });
@@ -182,6 +506,79 @@ function setupEventListeners() {
   document.getElementById('tabGroupColor').addEventListener('change', (e) => {
     updateSetting('tab_group_color', e.target.value);
   });
+  document.getElementById('tabGroupCleanup').addEventListener('change', (e) => {
+    updateSetting('tab_group_cleanup', e.target.value);
+  });
+  document.getElementById('tabGroupCleanupTrigger').addEventListener('change', (e) => {
+    updateSetting('tab_group_cleanup_trigger', e.target.value);
+  });
+  document.getElementById('tabGroupCleanupIdleMinutes').addEventListener('change', (e) => {
+    const minutes = Math.min(1440, Math.max(1, parseInt(e.target.value, 10) || 30));
+    e.target.value = minutes;
+    updateSetting('tab_group_cleanup_idle_minutes', minutes);
+  });
+
+  // Audit log settings
+  document.getElementById('auditLogEnabled').addEventListener('change', (e) => {
+    updateSetting('audit_log_enabled', e.target.checked);
+  });
+  document.getElementById('auditLogMaxEntries').addEventListener('change', (e) => {
+    const maxEntries = Math.min(100000, Math.max(100, parseInt(e.target.value, 10) || 5000));
+    e.target.value = maxEntries;
+    updateSetting('audit_log_max_entries', maxEntries);
+  });
+  document.getElementById('auditLogRetentionDays').addEventListener('change', (e) => {
+    const days = Math.min(365, Math.max(1, parseInt(e.target.value, 10) || 30));
+    e.target.value = days;
+    updateSetting('audit_log_retention_days', days);
+  });
+
+  // Plan review
+  document.getElementById('approvePlan').addEventListener('click', () => handleDecidePlan(PLAN_STATUS.APPROVED));
+  document.getElementById('rejectPlan').addEventListener('click', () => handleDecidePlan(PLAN_STATUS.REJECTED));
+
+  // Tab sharing
+  document.getElementById('shareTab').addEventListener('click', () => {
+    const selected = document.querySelector('input[name="adoptionCandidate"]:checked');
+    handleAnswerAdoption(selected ? Number(selected.value) : null);
+  });
+  document.getElementById('declineTab').addEventListener('click', () => handleAnswerAdoption(null));
+
+  // Shortcuts
+  document.getElementById('saveShortcut').addEventListener('click', handleSaveShortcut);
+  document.getElementById('cancelShortcut').addEventListener('click', () => editShortcut(null));
+
+  // Activity filters
+  document.getElementById('activitySearch').addEventListener('input', loadActivity);
+  document.getElementById('activityDomain').addEventListener('input', loadActivity);
+  document.getElementById('activityTool').addEventListener('change', loadActivity);
+  document.getElementById('activityOutcome').addEventListener('change', loadActivity);
+  document.getElementById('refreshActivity').addEventListener('click', loadActivity);
+  document.getElementById('exportActivity').addEventListener('click', handleExportActivity);
+  document.getElementById('clearActivity').addEventListener('click', handleClearActivity);
+
+  // Diagnostics
+  document.querySelector('.tab[data-tab="diagnostics"]').addEventListener('click', loadDiagnostics);
+  document.getElementById('refreshDiagnostics').addEventListener('click', loadDiagnostics);
+  document.getElementById('resetMetrics').addEventListener('click', handleResetMetrics);
+
+  // Kill switch (handled by the service worker, which owns in-flight calls)
+  document.getElementById('toggleAutomation').addEventListener('click', async (e) => {
+    const stopped = e.target.dataset.stopped === 'true';
+    await chrome.runtime.sendMessage({ type: stopped ? 'resume_requested' : 'stop_requested' });
+    showNotification(stopped ? 'Automation resumed' : 'Automation stopped', 'success');
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session') {
+      loadStopState();
+    }
+    if (areaName === 'session' && changes.tabAdoptionRequest) {
+      loadAdoptionRequest();
+    }
+    if (areaName === 'local' && changes.currentPlan) {
+      loadPlan();
+    }
+  });
 
   // Data management buttons
   document.getElementById('exportData').addEventListener('click', handleExport);
@@ -231,8 +628,12 @@ async function handleRemoveDomain(e) {
   const domain = e.target.dataset.domain;
   const type = e.target.dataset.type;
 
-  const fn = type === 'allowed' ? removeAllowedDomain : removeBlockedDomain;
-  const result = await fn(domain);
+  const removers = {
+    allowed: removeAllowedDomain,
+    blocked: removeBlockedDomain,
+    approved: removeApprovedDomain
+  };
+  const result = await removers[type](domain);
 
   if (result.success) {
     await loadSettings();
@@ -277,6 +678,130 @@ async function handleExport() {
   }
 }
 
+/**
+ * Handle approving or rejecting the plan shown
+ */
+async function handleDecidePlan(status) {
+  const result = await decidePlan(displayedPlanId, status);
+
+  if (result.success) {
+    showNotification(status === PLAN_STATUS.APPROVED ? 'Plan approved' : 'Plan rejected', 'success');
+  } else {
+    showNotification(result.error || 'Failed to update the plan', 'error');
+  }
+  await loadPlan();
+}
+
+/**
+ * Handle sharing the selected tab (or declining, with null)
+ */
+async function handleAnswerAdoption(tabId) {
+  const result = await answerAdoptionRequest(displayedAdoptionId, tabId);
+
+  if (result.success) {
+    showNotification(tabId === null ? 'Request declined' : 'Tab shared with Claude', 'success');
+  } else {
+    showNotification(result.error || 'Failed to answer the request', 'error');
+  }
+  await loadAdoptionRequest();
+}
+
+/**
+ * Handle saving the shortcut in the editor
+ */
+async function handleSaveShortcut() {
+  let steps;
+  try {
+    steps = JSON.parse(document.getElementById('shortcutSteps').value);
+  } catch (error) {
+    showNotification(`Steps are not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+
+  const result = await saveShortcut({
+    id: editingShortcutId,
+    name: document.getElementById('shortcutName').value.trim(),
+    description: document.getElementById('shortcutDescription').value.trim(),
+    steps
+  });
+
+  if (result.success) {
+    editShortcut(null);
+    await loadShortcuts();
+    showNotification('Shortcut saved', 'success');
+  } else {
+    showNotification(result.error || 'Failed to save shortcut', 'error');
+  }
+}
+
+/**
+ * Handle deleting a shortcut
+ */
+async function handleDeleteShortcut(e) {
+  const id = e.target.dataset.id;
+  if (!confirm('Delete this shortcut?')) {
+    return;
+  }
+
+  const result = await deleteShortcut(id);
+  if (result.success) {
+    if (editingShortcutId === id) {
+      editShortcut(null);
+    }
+    await loadShortcuts();
+    showNotification('Shortcut deleted', 'success');
+  } else {
+    showNotification(result.error || 'Failed to delete shortcut', 'error');
+  }
+}
+
+/**
+ * Handle export of the activity log (entries matching the current filters)
+ */
+async function handleExportActivity() {
+  try {
+    const data = await exportAuditLog(getActivityFilters());
+    const blob = new Blob([data], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `claude-extension-activity-${Date.now()}.jsonl`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    showNotification('Activity exported', 'success');
+  } catch (error) {
+    showNotification('Failed to export activity', 'error');
+  }
+}
+
+/**
+ * Handle clearing the activity log
+ */
+async function handleClearActivity() {
+  if (!confirm('Delete the entire activity log? This cannot be undone.')) {
+    return;
+  }
+
+  await clearAuditLog();
+  await loadActivity();
+  showNotification('Activity log cleared', 'success');
+}
+
+/**
+ * Handle resetting the performance metrics
+ */
+async function handleResetMetrics() {
+  if (!confirm('Discard all recorded performance metrics?')) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ type: 'reset_metrics' });
+  await loadDiagnostics();
+  showNotification('Metrics reset', 'success');
+}
+
 /**
  * Handle import settings
  */
@@ -319,12 +844,18 @@ async function handleReset() {
  * Handle clear all data
  */
 async function handleClearAll() {
-  if (!confirm('Delete ALL extension data including domain lists and settings? This cannot be undone.')) {
+  if (!confirm('Delete ALL extension data including domain lists, settings, shortcuts, the plan and the activity log? This cannot be undone.')) {
     return;
   }
 
   await clearAllData();
+  await clearAuditLog();
+  await clearShortcuts();
+  await clearPlan();
   await loadSettings();
+  await loadPlan();
+  await loadShortcuts();
+  await loadActivity();
   showNotification('All data cleared', 'success');
 }
 
@@ -338,49 +869,49 @@ function displayExtensionInfo() {
 }
 
 /**
- * Check Native Host connection status
+ * Show the service worker's native host connection state, and follow its changes
  */
 async function checkConnectionStatus() {
-  const statusEl = document.getElementById('connectionStatus');
-  const nativeStatusEl = document.getElementById('nativeHostStatus');
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'connection_state') {
+      renderConnectionState(message);
+    }
+  });
 
   try {
-    // Try to connect to native host
-    const port = chrome.runtime.connectNative('com.anthropic.claude_code_browser_extension');
-
-    port.onMessage.addListener((msg) => {
-      if (msg.type === 'pong') {
-        statusEl.classList.add('connected');
-        statusEl.classList.remove('disconnected');
-        statusEl.querySelector('.status-text').textContent = 'Connected';
-        nativeStatusEl.textContent = 'Connected';
-      }
-    });
+    renderConnectionState(await chrome.runtime.sendMessage({ type: 'get_connection_state' }));
+  } catch (error) {
+    renderConnectionState({ state: 'disconnected', lastError: error.message });
+  }
+}
 
-    port.onDisconnect.addListener(() => {
-      const error = chrome.runtime.lastError?.message || 'Not connected';
-      statusEl.classList.add('disconnected');
-      statusEl.classList.remove('connected');
-      statusEl.querySelector('.status-text').textContent = 'Disconnected';
-      nativeStatusEl.textContent = error;
-    });
+/**
+ * Render a connection state snapshot in the header and the About tab
+ */
+function renderConnectionState(snapshot) {
+  const statusEl = document.getElementById('connectionStatus');
+  const nativeStatusEl = document.getElementById('nativeHostStatus');
 
-    port.postMessage({ type: 'ping' });
+  const labels = {
+    connecting: 'Connecting...',
+    verified: 'Connected',
+    degraded: 'Degraded',
+    disconnected: 'Disconnected'
+  };
 
-    // Timeout after 2 seconds
-    setTimeout(() => {
-      if (!statusEl.classList.contains('connected')) {
-        statusEl.classList.add('disconnected');
-        statusEl.querySelector('.status-text').textContent = 'Not connected';
-        nativeStatusEl.textContent = 'Not installed or CLI not running';
-      }
-    }, 2000);
+  statusEl.classList.remove('connected', 'connecting', 'degraded', 'disconnected');
+  statusEl.classList.add(snapshot.state === 'verified' ? 'connected' : snapshot.state);
+  statusEl.querySelector('.status-text').textContent = labels[snapshot.state] || snapshot.state;
 
-  } catch (error) {
-    statusEl.classList.add('disconnected');
-    statusEl.querySelector('.status-text').textContent = 'Error';
-    nativeStatusEl.textContent = error.message;
+  let detail = labels[snapshot.state] || snapshot.state;
+  if (snapshot.lastError) {
+    detail += ` - ${snapshot.lastError}`;
+  }
+  if (snapshot.state === 'disconnected' && snapshot.nextRetryAt) {
+    const seconds = Math.max(0, Math.round((snapshot.nextRetryAt - Date.now()) / 1000));
+    detail += ` (retry ${snapshot.attempt} in ${seconds}s)`;
   }
+  nativeStatusEl.textContent = detail;
 }
 
 /**
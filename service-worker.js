@@ -3,54 +3,98 @@
  * Handles Native Messaging connection and MCP tool routing
  */
 
-// Import tool handlers
-import { handleTabsContext, handleTabsCreate, validateTabInGroup } from './tools/tabs.js';
-import { handleReadPage, handleFind, handleGetPageText, handleJavascript } from './tools/page.js';
-import { handleNavigate, handleResizeWindow } from './tools/navigation.js';
-import { handleComputer, handleFormInput } from './tools/computer.js';
-import { handleGifCreator, handleUploadImage, addGifFrame } from './tools/media.js';
-import { handleReadConsole, handleReadNetwork, initDebugListeners } from './tools/debug.js';
-import { getSettings } from './lib/permissions.js';
+// Import tools (each module registers its tools with the registry)
+import { validateTabInGroup } from './tools/tabs.js';
+import './tools/page.js';
+import { normalizeUrl } from './tools/navigation.js';
+import { getStoredScreenshotCount } from './tools/computer.js';
+import './tools/media.js';
+import { initDebugListeners } from './tools/debug.js';
+import './tools/plan.js';
+import './tools/shortcuts.js';
+import './tools/batch.js';
+import { getSettings, enforceUrlPermission, getDomainFromUrl } from './lib/permissions.js';
+import { ensureApproved, initApprovalListeners } from './lib/approvals.js';
+import { enforcePlanDomain, initPlanListeners } from './lib/plan.js';
+import { initManagedGroupListeners } from './lib/managed-groups.js';
+import { initAdoptionListeners } from './lib/tab-adoption.js';
+import {
+  trackSessionActivity,
+  scheduleDisconnectCleanup,
+  cancelDisconnectCleanup,
+  initGroupCleanupListeners
+} from './lib/group-cleanup.js';
+import { assertNotStopped, registerOperation, stopAutomation, resumeAutomation } from './lib/kill-switch.js';
+import { raceAbort, throwIfAborted, startDeadline, ToolTimeoutError } from './lib/cancellation.js';
+import { initDebuggerSessions, getAttachedSessionCount } from './lib/debugger-sessions.js';
+import { initCdpEventBus, getCdpSubscriptionStats } from './lib/cdp-events.js';
+import {
+  PROTOCOL_VERSION,
+  ProtocolMismatchError,
+  UnknownToolError,
+  isProtocolCompatible,
+  buildHelloMessage
+} from './lib/protocol.js';
+import { getTool, getToolNames, describeTools, validateToolArgs } from './lib/tool-registry.js';
+import { recordToolCall, getOutcomeForError } from './lib/audit-log.js';
+import { encodeMessage, acceptChunk, resetTransfers } from './lib/chunking.js';
+import {
+  initNativeConnection,
+  connectNativeHost,
+  postNativeMessage,
+  markHostVerified,
+  markHostIncompatible,
+  getConnectionState,
+  onConnectionStateChange
+} from './lib/native-connection.js';
+import { holdKeepalive, getKeepaliveHolders } from './lib/keepalive.js';
+import { acquireTabTurn, getTabQueueStats } from './lib/tab-queue.js';
+import { saveCheckpoint, loadCheckpoint, RequestInterruptedError } from './lib/session-state.js';
+import { clearImages } from './lib/image-store.js';
+import { startControlling, stopControllingAll, getStopButtonTabs, initStopButtonListeners } from './lib/stop-button.js';
+import { ToolError, toToolError, serializeError } from './lib/errors.js';
+import { createProgressReporter } from './lib/progress.js';
+import { recordToolMetric, getMetricsSnapshot, resetMetrics } from './lib/metrics.js';
 
 // Constants
-const NATIVE_HOST_NAME = 'com.anthropic.claude_code_browser_extension';
 const TOOL_TIMEOUT_MS = 30000;
 
-// Tools that should show visual indicator (user-visible actions)
-const VISUAL_INDICATOR_TOOLS = new Set([
-  'navigate',
-  'computer',
-  'form_input',
-  'javascript_tool'
-]);
+// How long a timed-out or stopped handler keeps its tab turn while it winds down
+const ABORTED_HANDLER_GRACE_MS = 10000;
+
 
 // State
-let nativePort = null;
 let pendingRequests = new Map();
-let isConnected = false;
 
-/**
- * Connect to Native Host
- */
-function connectNativeHost() {
-  if (nativePort) {
-    console.log('[SW] Native port already exists');
-    return;
-  }
+// Tabs currently showing the visual indicator (they display the connection state,
+// as do the tabs showing the stop button)
+const indicatorTabs = new Set();
 
-  console.log('[SW] Connecting to native host:', NATIVE_HOST_NAME);
+// Tool requests being handled, checkpointed so a restarted worker can fail them:
+// requestId -> { tool, args, tabUrl, startedAt }
+const inflightRequests = new Map();
 
-  try {
-    nativePort = chrome.runtime.connectNative(NATIVE_HOST_NAME);
-  } catch (error) {
-    console.error('[SW] Failed to connect to native host:', error);
-    return;
-  }
+// Requests that were in flight when a previous instance of the worker died
+let interruptedRequests = [];
+
+// Protocol revision announced by the native host in its hello, if any
+let hostProtocolVersion = null;
+
+// Whether the native host reassembles chunk frames (announced in its hello)
+let hostSupportsChunking = false;
 
-  nativePort.onMessage.addListener(handleNativeMessage);
-  nativePort.onDisconnect.addListener(handleNativeDisconnect);
+// Whether the native host accepts tool_progress messages (announced in its hello)
+let hostSupportsProgress = false;
 
-  // Send ping to verify connection
+// Whether the connection reached 'verified' since the last disconnect
+let hostWasVerified = false;
+
+/**
+ * Handle the native port opening
+ */
+function handleNativeOpen() {
+  // Announce capabilities, and ping for hosts that predate the handshake
+  sendNativeMessage(buildHelloMessage(describeTools()));
   sendNativeMessage({ type: 'ping' });
 }
 
@@ -61,27 +105,27 @@ function handleNativeMessage(message) {
   console.log('[SW] Native message received:', message.type);
 
   if (message.type === 'pong') {
-    isConnected = true;
-    console.log('[SW] Native host connection verified');
+    markHostVerified();
+    return;
+  }
+
+  if (message.type === 'chunk') {
+    handleChunkFrame(message);
+    return;
+  }
+
+  if (message.type === 'hello') {
+    handleHostHello(message);
+    return;
+  }
+
+  if (message.type === 'get_capabilities') {
+    sendNativeMessage(buildHelloMessage(describeTools()));
     return;
   }
 
   if (message.type === 'tool_request') {
-    handleToolRequest(message)
-      .then(result => {
-        sendNativeMessage({
-          type: 'tool_response',
-          requestId: message.requestId,
-          result
-        });
-      })
-      .catch(error => {
-        sendNativeMessage({
-          type: 'tool_response',
-          requestId: message.requestId,
-          error: error.message || String(error)
-        });
-      });
+    respondToToolRequest(message);
     return;
   }
 
@@ -92,7 +136,7 @@ function handleNativeMessage(message) {
     pendingRequests.delete(message.requestId);
 
     if (message.error) {
-      reject(new Error(message.error));
+      reject(new ToolError(message.errorCode || 'INTERNAL_ERROR', message.error, { details: message.errorDetails }));
     } else {
       resolve(message.result);
     }
@@ -100,41 +144,97 @@ function handleNativeMessage(message) {
 }
 
 /**
- * Handle Native Host disconnection
+ * Handle a chunk frame, dispatching the message once it is complete
  */
-function handleNativeDisconnect() {
-  const error = chrome.runtime.lastError?.message || 'Unknown error';
-  console.log('[SW] Native host disconnected:', error);
+function handleChunkFrame(frame) {
+  let message;
+  try {
+    message = acceptChunk(frame);
+  } catch (error) {
+    console.error('[SW]', error.message);
+    sendNativeMessage({ type: 'error', ...serializeError(error) });
+    return;
+  }
+
+  if (message) {
+    handleNativeMessage(message);
+  }
+}
+
+/**
+ * Handle the native host's side of the hello handshake
+ */
+function handleHostHello(message) {
+  hostProtocolVersion = message.protocolVersion ?? null;
+  hostSupportsChunking = Boolean(message.capabilities?.chunking);
+  hostSupportsProgress = Boolean(message.capabilities?.progress);
+
+  if (!isProtocolCompatible(hostProtocolVersion)) {
+    const error = new ProtocolMismatchError(hostProtocolVersion);
+    console.error('[SW]', error.message);
+    markHostIncompatible(error.message);
+    sendNativeMessage({ type: 'error', ...serializeError(error) });
+    return;
+  }
 
-  nativePort = null;
-  isConnected = false;
+  markHostVerified();
+  console.log(`[SW] Handshake complete: host protocol ${hostProtocolVersion}, ours ${PROTOCOL_VERSION}`);
+}
+
+/**
+ * Handle Native Host disconnection (the connection manager schedules the reconnect)
+ */
+function handleNativeDisconnect() {
+  hostProtocolVersion = null;
+  hostSupportsChunking = false;
+  hostSupportsProgress = false;
+  resetTransfers();
 
   // Reject all pending requests
   for (const [id, { reject, timeout }] of pendingRequests) {
     clearTimeout(timeout);
-    reject(new Error('Native host disconnected'));
+    reject(new ToolError('NATIVE_DISCONNECTED', 'Native host disconnected'));
   }
   pendingRequests.clear();
 
-  // Attempt reconnection after delay
-  setTimeout(connectNativeHost, 5000);
+  // The CLI sessions are over: tidy up their tab groups as configured
+  // Failed reconnect attempts leave the cleanup scheduled by the first disconnect alone
+  if (!hostWasVerified) return;
+  hostWasVerified = false;
+  stopControllingAll().catch(error => console.warn('[SW] Could not remove stop buttons:', error.message));
+  scheduleDisconnectCleanup().catch(error => console.warn('[SW] Could not schedule tab group cleanup:', error.message));
 }
 
 /**
- * Send message to Native Host
+ * Send message to Native Host, split into chunk frames if it is too large
+ * Throws MessageTooLargeError instead of posting a message Chrome would drop
  */
 function sendNativeMessage(message) {
-  if (!nativePort) {
-    console.error('[SW] No native port available');
-    return false;
-  }
+  const frames = encodeMessage(message, { chunking: hostSupportsChunking });
+  return frames.every(frame => postNativeMessage(frame));
+}
+
+/**
+ * Send a tool_progress message if the host accepts them
+ * Progress is best effort: a failure to send it never fails the tool call
+ */
+function sendProgressMessage(message) {
+  if (!hostSupportsProgress || getConnectionState().state !== 'verified') return;
 
   try {
-    nativePort.postMessage(message);
-    return true;
+    sendNativeMessage(message);
   } catch (error) {
-    console.error('[SW] Failed to send native message:', error);
-    return false;
+    console.warn('[SW] Failed to send progress:', error.message);
+  }
+}
+
+/**
+ * Forward connection state changes to tabs showing the indicator
+ */
+function broadcastConnectionStateToTabs(snapshot) {
+  for (const tabId of new Set([...indicatorTabs, ...getStopButtonTabs()])) {
+    chrome.tabs.sendMessage(tabId, { type: 'connection_state', state: snapshot.state })
+      .catch(() => indicatorTabs.delete(tabId));
   }
 }
 
@@ -145,8 +245,10 @@ async function showVisualIndicator(tabId, color) {
   try {
     await chrome.tabs.sendMessage(tabId, {
       type: 'show_indicator',
-      color: color
+      color: color,
+      connectionState: getConnectionState().state
     });
+    indicatorTabs.add(tabId);
   } catch (e) {
     // Content script may not be loaded, ignore
     console.log('[SW] Could not show indicator:', e.message);
@@ -157,6 +259,7 @@ async function showVisualIndicator(tabId, color) {
  * Hide visual indicator on tab
  */
 async function hideVisualIndicator(tabId) {
+  indicatorTabs.delete(tabId);
   try {
     await chrome.tabs.sendMessage(tabId, {
       type: 'hide_indicator'
@@ -167,101 +270,321 @@ async function hideVisualIndicator(tabId) {
 }
 
 /**
- * Handle tool request from Native Host
+ * Run a tool request, reply to the native host and record it in the audit log
  */
-async function handleToolRequest(request) {
+async function respondToToolRequest(message) {
+  const startedAt = Date.now();
+  const { tool, args, requestId } = parseToolRequest(message);
+
+  // Long calls (GIF export, navigation waits) must not outlive the worker
+  const releaseKeepalive = holdKeepalive();
+
+  // Arguments are not validated yet; a malformed request fails below with INVALID_ARGUMENTS
+  const tabUrl = await getTabUrl(args?.tabId);
+
+  inflightRequests.set(requestId, { tool, args, tabUrl, startedAt });
+  checkpointInflightRequests();
+
+  let outcome = 'success';
+  let auditError = null;
+  let response;
+
+  try {
+    const result = await handleToolRequest(message);
+    response = {
+      type: 'tool_response',
+      requestId,
+      result
+    };
+  } catch (error) {
+    const toolError = toToolError(error);
+    outcome = getOutcomeForError(toolError);
+    auditError = { message: toolError.message, code: toolError.code };
+    response = buildErrorResponse(requestId, toolError);
+  }
+
+  try {
+    sendNativeMessage(response);
+  } catch (error) {
+    // Too large to deliver: report that instead of leaving the call unanswered
+    console.error('[SW]', error.message);
+    outcome = 'error';
+    auditError = { message: error.message, code: error.code };
+    sendNativeMessage(buildErrorResponse(requestId, error));
+  } finally {
+    inflightRequests.delete(requestId);
+    checkpointInflightRequests();
+    releaseKeepalive();
+  }
+
+  recordToolCall({ requestId, tool, args, tabUrl, startedAt, outcome, error: auditError })
+    .catch(error => console.error('[SW] Failed to write audit log:', error));
+}
+
+/**
+ * Checkpoint the requests in flight
+ */
+function checkpointInflightRequests() {
+  const requests = [...inflightRequests].map(([requestId, request]) => ({ requestId, ...request }));
+  saveCheckpoint({ inflightRequests: [...interruptedRequests, ...requests] });
+}
+
+/**
+ * Pick up requests left in flight by a previous instance of the worker
+ */
+async function restoreInterruptedRequests() {
+  const { inflightRequests: saved = [] } = await loadCheckpoint(['inflightRequests']);
+  const restored = saved.filter(request => !inflightRequests.has(request.requestId));
+  if (restored.length === 0) return;
+
+  console.log(`[SW] ${restored.length} tool request(s) were interrupted by a worker restart`);
+  interruptedRequests = restored;
+  failInterruptedRequests();
+}
+
+/**
+ * Answer interrupted requests with an error once the host is reachable,
+ * so the CLI does not wait for them until its own timeout
+ */
+function failInterruptedRequests() {
+  if (interruptedRequests.length === 0 || getConnectionState().state !== 'verified') return;
+
+  for (const { requestId, tool, args, tabUrl, startedAt } of interruptedRequests) {
+    const error = new RequestInterruptedError(tool, startedAt);
+    sendNativeMessage(buildErrorResponse(requestId, error));
+    recordToolCall({
+      requestId, tool, args, tabUrl, startedAt,
+      outcome: 'error',
+      error: { message: error.message, code: error.code }
+    }).catch(e => console.error('[SW] Failed to write audit log:', e));
+  }
+
+  interruptedRequests = [];
+  checkpointInflightRequests();
+}
+
+/**
+ * Build the tool_response for a failed tool request
+ */
+function buildErrorResponse(requestId, error) {
+  return {
+    type: 'tool_response',
+    requestId,
+    ...serializeError(error)
+  };
+}
+
+/**
+ * Extract tool name, arguments and request ID from a tool request
+ */
+function parseToolRequest(request) {
   // Support both CLI format: { params: { tool, args } }
   // and direct format: { tool, args }
   const params = request.params || request;
   let { tool, args = {} } = params;
-  const requestId = request.requestId;
 
   // Strip MCP prefix if present (e.g., mcp__claude-in-chrome__navigate -> navigate)
-  if (tool && tool.startsWith('mcp__claude-in-chrome__')) {
+  if (typeof tool === 'string' && tool.startsWith('mcp__claude-in-chrome__')) {
     tool = tool.replace('mcp__claude-in-chrome__', '');
   }
 
+  return { tool, args, requestId: request.requestId, sessionId: request.sessionId ?? params.sessionId ?? null };
+}
+
+/**
+ * Get a tab's current URL, or null if there is no such tab
+ */
+async function getTabUrl(tabId) {
+  if (!tabId) return null;
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return tab.url || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Handle tool request from Native Host
+ */
+async function handleToolRequest(request) {
+  const { tool, args, requestId, sessionId } = parseToolRequest(request);
+
   console.log(`[SW] Tool request: ${tool}`, args);
 
-  // Check if should show visual indicator
-  const settings = await getSettings();
-  const shouldShowIndicator = settings.show_visual_indicator
-    && args.tabId
-    && VISUAL_INDICATOR_TOOLS.has(tool);
+  // Refuse requests from an incompatible protocol revision up front, rather than
+  // failing later on a tool or argument this extension does not know
+  const requestProtocol = request.protocolVersion ?? hostProtocolVersion;
+  if (requestProtocol !== null && !isProtocolCompatible(requestProtocol)) {
+    throw new ProtocolMismatchError(requestProtocol);
+  }
+
+  return executeTool(tool, args, { requestId, sessionId });
+}
 
-  // Show indicator before action
-  if (shouldShowIndicator) {
-    await showVisualIndicator(args.tabId, settings.indicator_color);
+/**
+ * Run a tool call through validation, the kill switch, the tab queue, domain
+ * permissions, approval and its deadline
+ * Tools that run other tools (batch) do so through context.invoke, which passes
+ * their own signal as the parent so a stop or timeout also ends the nested call,
+ * and lets a nested approval prompt pause the parents' deadlines
+ * sessionId identifies the CLI session; each session only sees its own tab group
+ */
+async function executeTool(tool, args, { requestId, sessionId = null, parentSignal = null, pauseParentDeadlines = null }) {
+  const definition = getTool(tool);
+  if (!definition) {
+    throw new UnknownToolError(tool, getToolNames());
   }
 
+  validateToolArgs(tool, args);
+
+  // Refuse new tool calls while the kill switch is engaged
+  await assertNotStopped();
+
+  // Track the call so "Stop Claude" can abort it
+  throwIfAborted(parentSignal);
+  const controller = new AbortController();
+  const unregisterOperation = registerOperation(controller);
+  const abortWithParent = () => controller.abort(parentSignal.reason);
+  parentSignal?.addEventListener('abort', abortWithParent, { once: true });
+
+  const sendProgress = createProgressReporter(sendProgressMessage, { requestId, tool });
+  const context = {
+    requestId,
+    sessionId,
+    signal: controller.signal,
+    phase: 'validate',
+    setPhase(phase) {
+      context.phase = phase;
+    },
+    // Phase defaults to the current one, so handlers can report just percent / message
+    reportProgress(progress) {
+      sendProgress({ phase: context.phase, ...progress });
+    },
+    invoke(nestedTool, nestedArgs) {
+      return executeTool(nestedTool, nestedArgs, {
+        requestId,
+        sessionId,
+        parentSignal: controller.signal,
+        pauseParentDeadlines: pauseDeadlines
+      });
+    }
+  };
+
+  // Stop the clock of this call and of the calls running it; returns the resume function
+  const pauseDeadlines = () => {
+    const resumeOwn = deadline?.pause();
+    const resumeParents = pauseParentDeadlines?.();
+    return () => {
+      resumeOwn?.();
+      resumeParents?.();
+    };
+  };
+  let deadline = null;
+  let turn = null;
+  let handlerPromise = null;
+  let shouldShowIndicator = false;
+  let endSessionActivity = null;
+
+  // For metrics: the domain acted on, and when the handler started (null if it never did)
+  let domain = null;
+  let executeStartedAt = null;
+  let success = false;
+
   try {
+    // Postpones the idle cleanup of this session's tab group
+    endSessionActivity = trackSessionActivity(sessionId);
+
+    // The session controls its group's tabs now: show the stop button on them
+    startControlling(sessionId).catch(error => console.warn('[SW] Could not show stop buttons:', error.message));
+
+    // Check if should show visual indicator
+    const settings = await getSettings();
+    shouldShowIndicator = settings.show_visual_indicator
+      && args.tabId
+      && definition.showIndicator;
+
+    // Show indicator before action
+    if (shouldShowIndicator) {
+      await showVisualIndicator(args.tabId, settings.indicator_color);
+    }
+
+    // Wait for earlier calls on the same tab, so actions on a tab never interleave
+    if (args.tabId) {
+      context.setPhase('queue');
+      turn = await acquireTabTurn(args.tabId, {
+        readOnly: definition.permission === 'read',
+        concurrentReads: settings.allow_concurrent_reads,
+        signal: controller.signal
+      });
+    }
+
     // Validate tabId if present
     if (args.tabId) {
-      const isValid = await validateTabInGroup(args.tabId);
+      const isValid = await validateTabInGroup(args.tabId, sessionId);
       if (!isValid) {
-        throw new Error(`Tab ${args.tabId} is not in the MCP group or does not exist`);
+        throw new ToolError('TAB_NOT_IN_GROUP', `Tab ${args.tabId} is not in this session's MCP group or does not exist. ` +
+          'Call tabs_context_mcp to list the tabs Claude can use', { details: { tabId: args.tabId, sessionId } });
+      }
+
+      // Enforce domain allowlist/blocklist on the tab's current page
+      // (navigation is checked against its target instead, so a blocked page can be left)
+      if (definition.checksTabUrl) {
+        const tab = await chrome.tabs.get(args.tabId);
+        domain = getDomainFromUrl(tab.url);
+        await enforceUrlPermission(tab.url);
+        await enforcePlanDomain(tab.url);
       }
     }
 
-    // Route to appropriate handler
-    switch (tool) {
-      // Tab management
-      case 'tabs_context_mcp':
-        return handleTabsContext(args);
-      case 'tabs_create_mcp':
-        return handleTabsCreate(args);
-
-      // Page interaction
-      case 'read_page':
-        return handleReadPage(args);
-      case 'find':
-        return handleFind(args);
-      case 'get_page_text':
-        return handleGetPageText(args);
-      case 'javascript_tool':
-        return handleJavascript(args);
-
-      // Navigation
-      case 'navigate':
-        return handleNavigate(args);
-      case 'resize_window':
-        return handleResizeWindow(args);
-
-      // Computer actions
-      case 'computer':
-        const result = await handleComputer(args);
-        // Add frame to GIF recording if active
-        if (args.action && args.action !== 'wait') {
-          await addGifFrame(args.tabId, args);
-        }
-        return result;
-      case 'form_input':
-        return handleFormInput(args);
-
-      // Media
-      case 'gif_creator':
-        return handleGifCreator(args);
-      case 'upload_image':
-        return handleUploadImage(args);
-
-      // Debug
-      case 'read_console_messages':
-        return handleReadConsole(args);
-      case 'read_network_requests':
-        return handleReadNetwork(args);
-
-      // Plan/Shortcuts (stub implementations)
-      case 'update_plan':
-        return handleUpdatePlan(args);
-      case 'shortcuts_list':
-        return handleShortcutsList(args);
-      case 'shortcuts_execute':
-        return handleShortcutsExecute(args);
-
-      default:
-        throw new Error(`Unknown tool: ${tool}`);
+    // Enforce domain lists on the navigation target (or the URL a new tab opens) as well
+    const isUrlNavigation = definition.targetsUrl
+      && args.url && args.url !== 'back' && args.url !== 'forward';
+    const targetUrl = isUrlNavigation ? normalizeUrl(args.url) : null;
+    if (targetUrl) {
+      domain = getDomainFromUrl(targetUrl);
+      await enforceUrlPermission(targetUrl);
+      await enforcePlanDomain(targetUrl);
     }
+
+    // Pause for user approval when settings require it; a nested call's prompt
+    // does not count against the deadlines of the calls running it either
+    context.setPhase('approval');
+    const resumeParentDeadlines = pauseParentDeadlines?.();
+    try {
+      await raceAbort(ensureApproved(tool, args, { targetUrl, signal: controller.signal }), controller.signal);
+    } finally {
+      resumeParentDeadlines?.();
+    }
+
+    // Start the deadline once approved, so time spent on the prompt does not count
+    const timeoutMs = getToolTimeout(definition, args);
+    deadline = startDeadline(timeoutMs, () => {
+      controller.abort(new ToolTimeoutError(tool, timeoutMs, context.phase));
+    });
+
+    context.setPhase('execute');
+    executeStartedAt = Date.now();
+    handlerPromise = definition.handler(args, context);
+    const result = await raceAbort(handlerPromise, controller.signal);
+    success = true;
+    return turn ? { ...result, queue: { depth: turn.depth, waitMs: turn.waitMs } } : result;
   } finally {
+    deadline?.clear();
+    recordToolMetric({
+      tool,
+      domain,
+      durationMs: executeStartedAt === null ? null : Date.now() - executeStartedAt,
+      success
+    });
+    if (turn) {
+      releaseTurnWhenSettled(turn, handlerPromise);
+    }
+    endSessionActivity?.();
+    unregisterOperation();
+    parentSignal?.removeEventListener('abort', abortWithParent);
+
     // Hide indicator after action (even on error)
     if (shouldShowIndicator) {
       await hideVisualIndicator(args.tabId);
@@ -270,60 +593,146 @@ async function handleToolRequest(request) {
 }
 
 /**
- * Update plan - show user the planned actions
+ * Release a tab turn once the call's handler has settled
+ * A timeout or stop answers the request before the handler has wound down; the
+ * next call on the tab waits for it, but no longer than ABORTED_HANDLER_GRACE_MS
+ * in case the handler ignores its signal
  */
-async function handleUpdatePlan(args) {
-  const { domains, approach } = args;
-
-  // Store the plan for reference
-  await chrome.storage.local.set({
-    currentPlan: {
-      domains: domains || [],
-      approach: approach || [],
-      timestamp: Date.now()
-    }
-  });
+function releaseTurnWhenSettled(turn, handlerPromise) {
+  if (!handlerPromise) {
+    turn.release();
+    return;
+  }
 
-  return {
-    success: true,
-    message: 'Plan updated',
-    domains,
-    approach
-  };
+  const grace = setTimeout(() => turn.release(), ABORTED_HANDLER_GRACE_MS);
+  Promise.resolve(handlerPromise).catch(() => {}).finally(() => {
+    clearTimeout(grace);
+    turn.release();
+  });
 }
 
 /**
- * List available shortcuts (stub)
+ * Get the deadline for a tool call: per-call timeoutMs, then the tool's own, then default
  */
-async function handleShortcutsList(args) {
-  // Return empty list - shortcuts are managed by Claude Code CLI
-  return {
-    shortcuts: [],
-    workflows: []
-  };
+function getToolTimeout(definition, args) {
+  if (Number.isFinite(args.timeoutMs) && args.timeoutMs > 0) {
+    return args.timeoutMs;
+  }
+
+  // Waits need at least their own duration plus some slack
+  if (definition.name === 'computer' && args.action === 'wait' && args.duration) {
+    return Math.max(TOOL_TIMEOUT_MS, args.duration * 1000 + 5000);
+  }
+
+  return definition.timeoutMs || TOOL_TIMEOUT_MS;
 }
 
 /**
- * Execute shortcut (stub)
+ * Engage the kill switch and tell the user how to resume
  */
-async function handleShortcutsExecute(args) {
-  const { command, shortcutId } = args;
+async function handleStopRequest(source) {
+  const { aborted } = await stopAutomation(source);
+  console.log(`[SW] Automation stopped (${source}), aborted ${aborted} tool call(s)`);
+  stopControllingAll().catch(error => console.warn('[SW] Could not remove stop buttons:', error.message));
 
-  // Shortcuts are managed by Claude Code CLI
-  return {
-    success: false,
-    error: 'Shortcuts must be executed through Claude Code CLI'
-  };
+  // The stop is already in effect; a missing notification must not report it as failed
+  try {
+    const settings = await getSettings();
+    if (settings.notifications_enabled) {
+      await chrome.notifications.create(`stopped_${Date.now()}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+        title: 'Claude stopped',
+        message: 'Browser automation is paused. Resume it from the extension options page or with Alt+Shift+R.'
+      });
+    }
+  } catch (error) {
+    console.warn('[SW] Could not show the stop notification:', error.message);
+  }
 }
 
+// Messages from content scripts and the options page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.type) {
+    case 'stop_requested':
+      handleStopRequest(sender.tab ? 'stop_button' : 'options_page')
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error('[SW] Stop request failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+
+    case 'resume_requested':
+      resumeAutomation().then(() => {
+        console.log('[SW] Automation resumed');
+        sendResponse({ success: true });
+      });
+      return true;
+
+    case 'get_connection_state':
+      sendResponse(getConnectionState());
+      return false;
+
+    case 'get_diagnostics':
+      Promise.all([getMetricsSnapshot(), getStoredScreenshotCount()]).then(([metrics, storedScreenshots]) => sendResponse({
+        debuggerSessions: getAttachedSessionCount(),
+        cdpSubscriptions: getCdpSubscriptionStats(),
+        keepaliveHolders: getKeepaliveHolders(),
+        tabQueues: getTabQueueStats(),
+        inflightRequests: inflightRequests.size,
+        storedScreenshots,
+        metrics
+      }));
+      return true;
+
+    case 'reset_metrics':
+      resetMetrics().then(() => sendResponse({ success: true }));
+      return true;
+  }
+});
+
+// Keyboard shortcuts
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'stop-automation') {
+    handleStopRequest('keyboard').catch(error => console.error('[SW] Stop request failed:', error));
+  } else if (command === 'resume-automation') {
+    resumeAutomation().then(() => console.log('[SW] Automation resumed'));
+  }
+});
+
 // Initialize on service worker startup
 console.log('[SW] Service worker starting...');
+initNativeConnection({
+  onOpen: handleNativeOpen,
+  onMessage: handleNativeMessage,
+  onClose: handleNativeDisconnect
+});
+onConnectionStateChange(broadcastConnectionStateToTabs);
+onConnectionStateChange((snapshot) => {
+  if (snapshot.state === 'verified') {
+    hostWasVerified = true;
+    failInterruptedRequests();
+    cancelDisconnectCleanup().catch(error => console.warn('[SW] Could not cancel tab group cleanup:', error.message));
+  }
+});
+restoreInterruptedRequests();
 connectNativeHost();
+initCdpEventBus();
+initDebuggerSessions();
 initDebugListeners();
+initApprovalListeners();
+initPlanListeners();
+initManagedGroupListeners();
+initAdoptionListeners();
+initGroupCleanupListeners();
+initStopButtonListeners(() => getConnectionState().state);
 
 // Re-connect when service worker wakes up
 chrome.runtime.onStartup.addListener(() => {
   console.log('[SW] Browser startup - connecting to native host');
+  // Images stored by the last browser session are no longer referenced
+  clearImages().catch(error => console.warn('[SW] Could not clear stored images:', error.message));
   connectNativeHost();
 });
 
@@ -334,4 +743,4 @@ chrome.runtime.onInstalled.addListener((details) => {
 });
 
 // Export for testing
-export { connectNativeHost, handleToolRequest, isConnected };
+export { connectNativeHost, handleToolRequest, getConnectionState };
@@ -0,0 +1,167 @@
+/**
+ * Batch Tool
+ * Runs a sequence of tool calls in one request; later steps can reference
+ * earlier results with { "$ref": "<step>.<path>" }
+ */
+
+import { throwIfAborted } from '../lib/cancellation.js';
+import { registerTool } from '../lib/tool-registry.js';
+import { ToolError, serializeError } from '../lib/errors.js';
+
+const MAX_STEPS = 50;
+
+// Tools that run other tools; as steps they could recurse without end
+const NESTING_TOOLS = ['batch', 'shortcuts_execute'];
+
+/**
+ * Error raised for a $ref that does not resolve to an earlier result
+ */
+export class UnresolvedReferenceError extends ToolError {
+  constructor(ref, reason) {
+    super('INVALID_REFERENCE', `Cannot resolve $ref "${ref}": ${reason}`, { details: { ref } });
+    this.name = 'UnresolvedReferenceError';
+  }
+}
+
+/**
+ * Run the steps in order, each through the full tool pipeline
+ * (validation, permissions, approval, tab queue, deadline)
+ */
+export async function handleBatch(args, context = {}) {
+  const { steps } = args;
+
+  if (!context.invoke) {
+    throw new ToolError('INTERNAL_ERROR', 'batch can only run through the service worker');
+  }
+
+  const results = [];
+  let stopped = false;
+
+  for (const [index, step] of steps.entries()) {
+    if (stopped) {
+      results.push({ step: index, tool: step.tool, skipped: true });
+      continue;
+    }
+
+    throwIfAborted(context.signal);
+    context.setPhase?.(`step_${index}_${step.tool}`);
+    context.reportProgress?.({
+      percent: (index / steps.length) * 100,
+      message: `Step ${index + 1} of ${steps.length}: ${step.tool}`
+    });
+    const startedAt = Date.now();
+
+    try {
+      if (NESTING_TOOLS.includes(step.tool)) {
+        throw new ToolError('INVALID_ARGUMENTS', `A batch or shortcut step cannot run ${step.tool}`, {
+          details: { step: index, tool: step.tool }
+        });
+      }
+
+      const stepArgs = resolveReferences(step.args || {}, results);
+      const result = await context.invoke(step.tool, stepArgs);
+      results.push({ step: index, tool: step.tool, success: true, result, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      // A stop or the batch deadline ends the whole batch
+      if (context.signal?.aborted) {
+        throw error;
+      }
+
+      results.push({
+        step: index,
+        tool: step.tool,
+        success: false,
+        ...serializeError(error),
+        durationMs: Date.now() - startedAt
+      });
+      stopped = step.stopOnError ?? true;
+    }
+  }
+
+  return {
+    success: results.every(result => result.success),
+    completed: results.filter(result => result.success).length,
+    results
+  };
+}
+
+/**
+ * Replace { "$ref": "<step>.<path>" } values with data from earlier step results,
+ * e.g. { "$ref": "0.matches.0.ref" } is the ref of the first match of step 0
+ */
+function resolveReferences(value, results) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, results));
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$ref') {
+      return lookupReference(value.$ref, results);
+    }
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveReferences(item, results);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Look up a "<step>.<path>" reference in the results so far
+ */
+function lookupReference(ref, results) {
+  if (typeof ref !== 'string') {
+    throw new UnresolvedReferenceError(String(ref), 'must be a string');
+  }
+
+  const [stepPart, ...path] = ref.split('.');
+  const stepIndex = Number(stepPart);
+  const stepResult = results[stepIndex];
+
+  if (!Number.isInteger(stepIndex) || !stepResult) {
+    throw new UnresolvedReferenceError(ref, `step ${stepPart} has not run before this one`);
+  }
+  if (!stepResult.success) {
+    throw new UnresolvedReferenceError(ref, `step ${stepIndex} failed`);
+  }
+
+  let current = stepResult.result;
+  for (const key of path) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      throw new UnresolvedReferenceError(ref, `no "${key}" in the result of step ${stepIndex}`);
+    }
+    current = current[key];
+  }
+
+  return current;
+}
+
+registerTool({
+  name: 'batch',
+  description: 'Run a sequence of tool calls in one request; args can use { "$ref": "<step>.<path>" } ' +
+    'to reference earlier results',
+  properties: {
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_STEPS,
+      items: {
+        type: 'object',
+        properties: {
+          tool: { type: 'string', description: 'Tool to call, e.g. computer, form_input, navigate, find' },
+          args: { type: 'object', description: 'Arguments of the tool' },
+          stopOnError: { type: 'boolean', description: 'Skip the remaining steps if this one fails (default true)' }
+        },
+        required: ['tool']
+      }
+    }
+  },
+  required: ['steps'],
+  handler: handleBatch,
+  permission: 'meta',
+  timeoutMs: 120000
+});
@@ -3,61 +3,124 @@
  * Handles mouse/keyboard interactions and screenshots
  */
 
-// Screenshot storage
-const screenshotStore = new Map();
+import { abortableDelay, throwIfAborted } from '../lib/cancellation.js';
+import { acquireDebugger, releaseDebugger, sendDebuggerCommand } from '../lib/debugger-sessions.js';
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+import { storeImage, loadImage, countImages } from '../lib/image-store.js';
+import { ToolError, getScriptResult } from '../lib/errors.js';
+import { measure } from '../lib/metrics.js';
+import { watchOpenedTabs } from '../lib/managed-groups.js';
+import { addGifFrame } from './media.js';
+
+// Actions that can open a tab, and how long to wait after them for Chrome to announce it
+const TAB_OPENING_ACTIONS = ['left_click', 'right_click', 'double_click', 'triple_click', 'key'];
+const OPENED_TAB_SETTLE_MS = 200;
+
+// Screenshots live in the image store; the most recent ones are also kept in
+// memory, since they are usually the ones read back (zoom, upload_image)
+const SCREENSHOT_ID_PREFIX = 'screenshot_';
+const MAX_CACHED_SCREENSHOTS = 3;
+const screenshotCache = new Map();
 
 /**
  * Main computer action handler
  */
-export async function handleComputer(args) {
+export async function handleComputer(args, context = {}) {
   const { action, tabId, coordinate, text, duration, scroll_direction,
           scroll_amount, start_coordinate, region, ref, modifiers, repeat } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!action) {
-    throw new Error('action is required');
-  }
-
   switch (action) {
     case 'screenshot':
+      context.setPhase?.('capture_screenshot');
       return captureScreenshot(tabId, region);
 
     case 'left_click':
     case 'right_click':
     case 'double_click':
     case 'triple_click':
-      return performClick(tabId, action, coordinate, ref, modifiers);
+      return performClick(tabId, action, coordinate, ref, modifiers, context);
 
     case 'type':
-      return performType(tabId, text);
+      return performType(tabId, text, context);
 
     case 'key':
-      return performKeyPress(tabId, text, repeat || 1);
+      return performKeyPress(tabId, text, repeat || 1, context);
 
     case 'scroll':
-      return performScroll(tabId, coordinate, scroll_direction, scroll_amount || 3);
+      return performScroll(tabId, coordinate, scroll_direction, scroll_amount || 3, context);
 
     case 'scroll_to':
+      context.setPhase?.('execute_script');
       return scrollToElement(tabId, ref);
 
     case 'wait':
-      await new Promise(r => setTimeout(r, (duration || 1) * 1000));
+      context.setPhase?.('wait');
+      await waitWithProgress((duration || 1) * 1000, context);
       return { success: true };
 
     case 'left_click_drag':
-      return performDrag(tabId, start_coordinate, coordinate);
+      return performDrag(tabId, start_coordinate, coordinate, context);
 
     case 'hover':
-      return performHover(tabId, coordinate, ref);
+      return performHover(tabId, coordinate, ref, context);
 
     case 'zoom':
+      context.setPhase?.('capture_screenshot');
       return captureZoom(tabId, region);
 
     default:
-      throw new Error(`Unknown action: ${action}`);
+      throw new ToolError('INVALID_ARGUMENTS', `Unknown action: ${action}`, { details: { action } });
+  }
+}
+
+/**
+ * Computer action, adding a frame to the GIF recording if one is active
+ * Reports tabs the action opened (they are adopted into the group)
+ */
+async function handleComputerAction(args, context = {}) {
+  const stopWatching = watchOpenedTabs(args.tabId);
+  let result;
+  let newTabIds;
+
+  try {
+    result = await handleComputer(args, context);
+
+    if (args.action !== 'wait') {
+      context.setPhase?.('capture_gif_frame');
+      await addGifFrame(args.tabId, args);
+    }
+
+    // The click returns once the input is dispatched; the new tab comes a moment later
+    if (TAB_OPENING_ACTIONS.includes(args.action)) {
+      await abortableDelay(OPENED_TAB_SETTLE_MS, context.signal);
+    }
+  } finally {
+    newTabIds = stopWatching();
+  }
+
+  if (newTabIds.length === 0) {
+    return result;
+  }
+  return {
+    ...result,
+    newTabIds,
+    message: newTabIds.map(id => `new tab opened: id ${id}`).join('; ')
+  };
+}
+
+/**
+ * Wait for the given time, reporting progress every second
+ */
+async function waitWithProgress(ms, context) {
+  const startedAt = Date.now();
+
+  for (let elapsed = 0; elapsed < ms; elapsed = Date.now() - startedAt) {
+    await abortableDelay(Math.min(1000, ms - elapsed), context.signal);
+    const done = Math.min(ms, Date.now() - startedAt);
+    context.reportProgress?.({
+      percent: (done / ms) * 100,
+      message: `Waited ${Math.round(done / 1000)}s of ${Math.round(ms / 1000)}s`
+    });
   }
 }
 
@@ -69,17 +132,14 @@ async function captureScreenshot(tabId, region) {
   const tab = await chrome.tabs.get(tabId);
 
   // Capture visible tab
-  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  const dataUrl = await measure('capture_screenshot', () => chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }));
 
   if (region) {
     // Crop the image
     return cropImage(dataUrl, region, tabId);
   }
 
-  // Store screenshot
-  const imageId = `screenshot_${Date.now()}`;
-  screenshotStore.set(imageId, dataUrl);
-
+  const imageId = storeScreenshot(dataUrl);
   return { imageId, dataUrl };
 }
 
@@ -90,20 +150,18 @@ async function cropImage(dataUrl, region, tabId) {
   const [x0, y0, x1, y1] = region;
 
   // Use offscreen document for image processing
-  const result = await chrome.runtime.sendMessage({
+  const result = await measure('crop_image', () => chrome.runtime.sendMessage({
     target: 'offscreen',
     action: 'crop_image',
     dataUrl,
     region: { x0, y0, x1, y1 }
-  });
+  }));
 
   if (result.error) {
-    throw new Error(result.error);
+    throw new ToolError('MEDIA_FAILED', result.error);
   }
 
-  const imageId = `screenshot_${Date.now()}`;
-  screenshotStore.set(imageId, result.dataUrl);
-
+  const imageId = storeScreenshot(result.dataUrl);
   return { imageId, dataUrl: result.dataUrl };
 }
 
@@ -112,7 +170,7 @@ async function cropImage(dataUrl, region, tabId) {
  */
 async function captureZoom(tabId, region) {
   if (!region) {
-    throw new Error('region is required for zoom action');
+    throw new ToolError('INVALID_ARGUMENTS', 'region is required for zoom action');
   }
 
   return captureScreenshot(tabId, region);
@@ -121,29 +179,28 @@ async function captureZoom(tabId, region) {
 /**
  * Perform click action
  */
-async function performClick(tabId, action, coordinate, ref, modifiers) {
+async function performClick(tabId, action, coordinate, ref, modifiers, context) {
   let x, y;
 
   if (coordinate) {
     [x, y] = coordinate;
   } else if (ref) {
+    context.setPhase?.('resolve_element');
     const center = await getElementCenter(tabId, ref);
     x = center.x;
     y = center.y;
   } else {
-    throw new Error('Either coordinate or ref is required');
+    throw new ToolError('INVALID_ARGUMENTS', 'Either coordinate or ref is required');
   }
 
   // Use debugger API for precise click
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
+  return withDebugger(tabId, context, async () => {
     const clickCount = action === 'double_click' ? 2 : action === 'triple_click' ? 3 : 1;
     const button = action === 'right_click' ? 'right' : 'left';
     const modifierFlags = parseModifiers(modifiers);
 
     // Mouse down
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mousePressed',
       x, y,
       button,
@@ -152,7 +209,7 @@ async function performClick(tabId, action, coordinate, ref, modifiers) {
     });
 
     // Mouse up
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseReleased',
       x, y,
       button,
@@ -161,103 +218,82 @@ async function performClick(tabId, action, coordinate, ref, modifiers) {
     });
 
     return { success: true, x, y };
-  } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {
-      // Ignore detach errors
-    }
-  }
+  });
 }
 
 /**
  * Perform hover action
  */
-async function performHover(tabId, coordinate, ref) {
+async function performHover(tabId, coordinate, ref, context) {
   let x, y;
 
   if (coordinate) {
     [x, y] = coordinate;
   } else if (ref) {
+    context.setPhase?.('resolve_element');
     const center = await getElementCenter(tabId, ref);
     x = center.x;
     y = center.y;
   } else {
-    throw new Error('Either coordinate or ref is required');
+    throw new ToolError('INVALID_ARGUMENTS', 'Either coordinate or ref is required');
   }
 
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+  return withDebugger(tabId, context, async () => {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseMoved',
       x, y
     });
 
     return { success: true, x, y };
-  } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {}
-  }
+  });
 }
 
 /**
  * Perform type action
  */
-async function performType(tabId, text) {
+async function performType(tabId, text, context) {
   if (!text) {
-    throw new Error('text is required');
+    throw new ToolError('INVALID_ARGUMENTS', 'text is required');
   }
 
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
+  return withDebugger(tabId, context, async () => {
     // Type each character
     for (const char of text) {
-      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+      throwIfAborted(context.signal);
+      await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
         type: 'keyDown',
         text: char
       });
-      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+      await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
         type: 'keyUp'
       });
     }
 
     return { success: true };
-  } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {}
-  }
+  });
 }
 
 /**
  * Perform key press action
  */
-async function performKeyPress(tabId, text, repeat) {
+async function performKeyPress(tabId, text, repeat, context) {
   if (!text) {
-    throw new Error('key text is required');
+    throw new ToolError('INVALID_ARGUMENTS', 'key text is required');
   }
 
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
+  return withDebugger(tabId, context, async () => {
     // Parse key combinations (e.g., "ctrl+a" or "ArrowDown")
     const keys = text.split(' ').filter(k => k.length > 0);
 
     for (let i = 0; i < repeat; i++) {
       for (const keySpec of keys) {
+        throwIfAborted(context.signal);
         await pressKey(tabId, keySpec);
       }
     }
 
     return { success: true };
-  } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {}
-  }
+  });
 }
 
 /**
@@ -298,13 +334,13 @@ async function pressKey(tabId, keySpec) {
 
   const mappedKey = keyMap[key] || key;
 
-  await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+  await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
     type: 'keyDown',
     key: mappedKey,
     modifiers: modifierFlags
   });
 
-  await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+  await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
     type: 'keyUp',
     key: mappedKey,
     modifiers: modifierFlags
@@ -314,12 +350,10 @@ async function pressKey(tabId, keySpec) {
 /**
  * Perform scroll action
  */
-async function performScroll(tabId, coordinate, direction, amount) {
+async function performScroll(tabId, coordinate, direction, amount, context) {
   const [x, y] = coordinate || [400, 300];
 
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
+  return withDebugger(tabId, context, async () => {
     let deltaX = 0;
     let deltaY = 0;
     const scrollDelta = amount * 100;
@@ -329,10 +363,10 @@ async function performScroll(tabId, coordinate, direction, amount) {
       case 'down': deltaY = scrollDelta; break;
       case 'left': deltaX = -scrollDelta; break;
       case 'right': deltaX = scrollDelta; break;
-      default: throw new Error(`Invalid scroll direction: ${direction}`);
+      default: throw new ToolError('INVALID_ARGUMENTS', `Invalid scroll direction: ${direction}`);
     }
 
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseWheel',
       x, y,
       deltaX,
@@ -340,10 +374,34 @@ async function performScroll(tabId, coordinate, direction, amount) {
     });
 
     return { success: true };
+  });
+}
+
+/**
+ * Run debugger commands while holding a reference on the tab's shared debugger session
+ * On abort the reference is dropped right away, detaching if no one else needs it
+ */
+async function withDebugger(tabId, context, fn) {
+  const { signal } = context;
+  throwIfAborted(signal);
+
+  context.setPhase?.('attach_debugger');
+  await acquireDebugger(tabId);
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    await releaseDebugger(tabId);
+  };
+  signal?.addEventListener('abort', release, { once: true });
+
+  try {
+    context.setPhase?.('dispatch_input');
+    return await fn();
   } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {}
+    signal?.removeEventListener('abort', release);
+    await release();
   }
 }
 
@@ -352,53 +410,50 @@ async function performScroll(tabId, coordinate, direction, amount) {
  */
 async function scrollToElement(tabId, ref) {
   if (!ref) {
-    throw new Error('ref is required for scroll_to');
+    throw new ToolError('INVALID_ARGUMENTS', 'ref is required for scroll_to');
   }
 
-  const results = await chrome.scripting.executeScript({
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (elementRef) => {
-      const element = window.__claudeElementMap?.[elementRef]?.deref();
-      if (!element) {
-        return { success: false, error: 'Element not found' };
+      const weakRef = window.__claudeElementMap?.[elementRef];
+      const element = weakRef?.deref();
+      if (!element?.isConnected) {
+        return weakRef
+          ? { error: `Element ${elementRef} is no longer on the page; call read_page or find again`, errorCode: 'ELEMENT_STALE' }
+          : { error: `Element ${elementRef} not found; call read_page or find for current refs`, errorCode: 'ELEMENT_NOT_FOUND' };
       }
 
       element.scrollIntoView({ behavior: 'smooth', block: 'center' });
       return { success: true };
     },
     args: [ref]
-  });
-
-  if (!results || results.length === 0) {
-    throw new Error('Failed to scroll to element');
-  }
+  }));
 
-  return results[0].result;
+  return getScriptResult(results, 'scroll to element');
 }
 
 /**
  * Perform drag action
  */
-async function performDrag(tabId, startCoordinate, endCoordinate) {
+async function performDrag(tabId, startCoordinate, endCoordinate, context) {
   if (!startCoordinate || !endCoordinate) {
-    throw new Error('start_coordinate and coordinate are required');
+    throw new ToolError('INVALID_ARGUMENTS', 'start_coordinate and coordinate are required');
   }
 
   const [startX, startY] = startCoordinate;
   const [endX, endY] = endCoordinate;
 
-  await chrome.debugger.attach({ tabId }, '1.3');
-
-  try {
+  return withDebugger(tabId, context, async () => {
     // Move to start
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseMoved',
       x: startX,
       y: startY
     });
 
     // Mouse down at start
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mousePressed',
       x: startX,
       y: startY,
@@ -406,14 +461,14 @@ async function performDrag(tabId, startCoordinate, endCoordinate) {
     });
 
     // Move to end
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseMoved',
       x: endX,
       y: endY
     });
 
     // Mouse up at end
-    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+    await sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
       type: 'mouseReleased',
       x: endX,
       y: endY,
@@ -421,23 +476,22 @@ async function performDrag(tabId, startCoordinate, endCoordinate) {
     });
 
     return { success: true };
-  } finally {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {}
-  }
+  });
 }
 
 /**
  * Get element center coordinates
  */
 async function getElementCenter(tabId, ref) {
-  const results = await chrome.scripting.executeScript({
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (elementRef) => {
-      const element = window.__claudeElementMap?.[elementRef]?.deref();
-      if (!element) {
-        return { error: 'Element not found' };
+      const weakRef = window.__claudeElementMap?.[elementRef];
+      const element = weakRef?.deref();
+      if (!element?.isConnected) {
+        return weakRef
+          ? { error: `Element ${elementRef} is no longer on the page; call read_page or find again`, errorCode: 'ELEMENT_STALE' }
+          : { error: `Element ${elementRef} not found; call read_page or find for current refs`, errorCode: 'ELEMENT_NOT_FOUND' };
       }
 
       const rect = element.getBoundingClientRect();
@@ -447,13 +501,9 @@ async function getElementCenter(tabId, ref) {
       };
     },
     args: [ref]
-  });
+  }));
 
-  if (!results || results.length === 0 || results[0].result.error) {
-    throw new Error(results?.[0]?.result?.error || 'Failed to get element center');
-  }
-
-  return results[0].result;
+  return getScriptResult(results, 'get element center');
 }
 
 /**
@@ -478,23 +528,19 @@ function parseModifiers(modifiersStr) {
 /**
  * Handle form input
  */
-export async function handleFormInput(args) {
+export async function handleFormInput(args, context = {}) {
   const { tabId, ref, value } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!ref) {
-    throw new Error('ref is required');
-  }
-
-  const results = await chrome.scripting.executeScript({
+  context.setPhase?.('execute_script');
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (elementRef, inputValue) => {
-      const element = window.__claudeElementMap?.[elementRef]?.deref();
-      if (!element) {
-        return { success: false, error: 'Element not found' };
+      const weakRef = window.__claudeElementMap?.[elementRef];
+      const element = weakRef?.deref();
+      if (!element?.isConnected) {
+        return weakRef
+          ? { error: `Element ${elementRef} is no longer on the page; call read_page or find again`, errorCode: 'ELEMENT_STALE' }
+          : { error: `Element ${elementRef} not found; call read_page or find for current refs`, errorCode: 'ELEMENT_NOT_FOUND' };
       }
 
       const tagName = element.tagName.toLowerCase();
@@ -524,26 +570,97 @@ export async function handleFormInput(args) {
         return { success: true };
       }
 
-      return { success: false, error: 'Element is not a form field' };
+      return { error: `Element ${elementRef} is not a form field`, errorCode: 'ELEMENT_NOT_INTERACTABLE' };
     },
     args: [ref, value]
-  });
+  }));
 
-  if (!results || results.length === 0) {
-    throw new Error('Failed to set form value');
-  }
+  getScriptResult(results, 'set form value');
+  return { success: true };
+}
+
+/**
+ * Get the number of screenshots in the image store, for diagnostics
+ */
+export function getStoredScreenshotCount() {
+  return countImages(SCREENSHOT_ID_PREFIX).catch(() => screenshotCache.size);
+}
 
-  const result = results[0].result;
-  if (!result.success) {
-    throw new Error(result.error);
+/**
+ * Keep a screenshot in memory, dropping the least recently used beyond the limit
+ */
+function cacheScreenshot(imageId, dataUrl) {
+  screenshotCache.delete(imageId);
+  screenshotCache.set(imageId, dataUrl);
+  while (screenshotCache.size > MAX_CACHED_SCREENSHOTS) {
+    screenshotCache.delete(screenshotCache.keys().next().value);
   }
+}
 
-  return { success: true };
+/**
+ * Store a screenshot for later reference by ID
+ */
+function storeScreenshot(dataUrl) {
+  const imageId = `${SCREENSHOT_ID_PREFIX}${Date.now()}`;
+  cacheScreenshot(imageId, dataUrl);
+  storeImage(imageId, dataUrl);
+  return imageId;
 }
 
 /**
- * Get stored screenshot
+ * Get a stored screenshot from memory or the image store
  */
-export function getScreenshot(imageId) {
-  return screenshotStore.get(imageId);
+export async function getScreenshot(imageId) {
+  if (screenshotCache.has(imageId)) {
+    const dataUrl = screenshotCache.get(imageId);
+    cacheScreenshot(imageId, dataUrl);
+    return dataUrl;
+  }
+
+  const dataUrl = await loadImage(imageId);
+  if (dataUrl) {
+    cacheScreenshot(imageId, dataUrl);
+  }
+  return dataUrl;
 }
+
+registerTool({
+  name: 'computer',
+  description: 'Mouse, keyboard and screenshot actions',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    action: {
+      type: 'string',
+      enum: ['screenshot', 'left_click', 'right_click', 'double_click', 'triple_click',
+        'type', 'key', 'scroll', 'scroll_to', 'wait', 'left_click_drag', 'hover', 'zoom']
+    },
+    coordinate: COMMON_SCHEMAS.coordinate,
+    start_coordinate: COMMON_SCHEMAS.coordinate,
+    text: { type: 'string' },
+    duration: { type: 'number', minimum: 0, description: 'Seconds to wait' },
+    scroll_direction: { type: 'string', enum: ['up', 'down', 'left', 'right'] },
+    scroll_amount: { type: 'integer', minimum: 1 },
+    region: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+    ref: { type: 'string' },
+    modifiers: { type: 'string', description: 'e.g. "ctrl+shift"' },
+    repeat: { type: 'integer', minimum: 1 }
+  },
+  required: ['tabId', 'action'],
+  handler: handleComputerAction,
+  permission: 'interact',
+  showIndicator: true
+});
+
+registerTool({
+  name: 'form_input',
+  description: 'Set the value of a form field',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    ref: { type: 'string' },
+    value: { type: ['string', 'number', 'boolean'] }
+  },
+  required: ['tabId', 'ref'],
+  handler: handleFormInput,
+  permission: 'interact',
+  showIndicator: true
+});
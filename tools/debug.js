@@ -3,14 +3,20 @@
  * Handles console messages and network request monitoring
  */
 
+import { acquireDebugger, releaseDebugger, enableDebuggerDomain, onDebuggerSessionEnd } from '../lib/debugger-sessions.js';
+import { subscribeCdpEvents } from '../lib/cdp-events.js';
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+
 // Console message storage per tab
 const consoleMessages = new Map();
 
 // Network request storage per tab
 const networkRequests = new Map();
 
-// Active debugger sessions
-const debuggerSessions = new Set();
+// Monitoring state per tab: tabId -> { console: subscription, network: subscription, ready }
+// (ready settles once the debugger reference is taken)
+// A monitored tab holds one long-lived reference on the shared debugger session
+const monitors = new Map();
 
 /**
  * Initialize debug listeners
@@ -20,7 +26,18 @@ export function initDebugListeners() {
   chrome.tabs.onRemoved.addListener((tabId) => {
     consoleMessages.delete(tabId);
     networkRequests.delete(tabId);
-    debuggerSessions.delete(tabId);
+    monitors.delete(tabId);
+  });
+
+  // The monitor's debugger reference ended with the session (e.g. the tab's
+  // target closed while the tab stayed open); the next read starts a new one
+  onDebuggerSessionEnd((tabId) => {
+    const monitor = monitors.get(tabId);
+    if (!monitor) return;
+
+    monitors.delete(tabId);
+    monitor.console?.unsubscribe();
+    monitor.network?.unsubscribe();
   });
 
   // Listen for navigation to clear data
@@ -40,51 +57,63 @@ export function initDebugListeners() {
   });
 }
 
+/**
+ * Get monitoring state for a tab, taking a debugger reference on first use
+ */
+async function getMonitor(tabId) {
+  let monitor = monitors.get(tabId);
+  if (!monitor) {
+    // Stored before attaching, so concurrent reads share the one reference
+    monitor = { console: null, network: null, ready: acquireDebugger(tabId) };
+    monitors.set(tabId, monitor);
+    monitor.ready.catch(() => {
+      if (monitors.get(tabId) === monitor) {
+        monitors.delete(tabId);
+      }
+    });
+  }
+  await monitor.ready;
+  return monitor;
+}
+
 /**
  * Start monitoring console for a tab
  */
 async function startConsoleMonitoring(tabId) {
-  if (debuggerSessions.has(tabId)) {
+  const monitor = await getMonitor(tabId);
+
+  // Idempotent; also re-attaches if the debugger was detached meanwhile
+  await enableDebuggerDomain(tabId, 'Console');
+  await enableDebuggerDomain(tabId, 'Runtime');
+
+  if (monitor.console?.active) {
     return; // Already monitoring
   }
 
-  try {
-    await chrome.debugger.attach({ tabId }, '1.3');
-    debuggerSessions.add(tabId);
-
-    await chrome.debugger.sendCommand({ tabId }, 'Console.enable');
-    await chrome.debugger.sendCommand({ tabId }, 'Runtime.enable');
+  // Initialize storage
+  if (!consoleMessages.has(tabId)) {
+    consoleMessages.set(tabId, []);
+  }
 
-    // Initialize storage
-    if (!consoleMessages.has(tabId)) {
-      consoleMessages.set(tabId, []);
+  // Listen for console messages
+  const consoleEvents = ['Console.messageAdded', 'Runtime.consoleAPICalled'];
+  monitor.console = subscribeCdpEvents(tabId, consoleEvents, (method, params) => {
+    const messages = consoleMessages.get(tabId) || [];
+    const entry = {
+      timestamp: Date.now(),
+      level: params.message?.level || params.type || 'info',
+      text: params.message?.text || params.args?.map(a => a.value || a.description).join(' ') || '',
+      source: params.message?.source || 'console'
+    };
+    messages.push(entry);
+
+    // Keep last 1000 messages
+    if (messages.length > 1000) {
+      messages.shift();
     }
 
-    // Listen for console messages
-    chrome.debugger.onEvent.addListener((source, method, params) => {
-      if (source.tabId !== tabId) return;
-
-      if (method === 'Console.messageAdded' || method === 'Runtime.consoleAPICalled') {
-        const messages = consoleMessages.get(tabId) || [];
-        const entry = {
-          timestamp: Date.now(),
-          level: params.message?.level || params.type || 'info',
-          text: params.message?.text || params.args?.map(a => a.value || a.description).join(' ') || '',
-          source: params.message?.source || 'console'
-        };
-        messages.push(entry);
-
-        // Keep last 1000 messages
-        if (messages.length > 1000) {
-          messages.shift();
-        }
-
-        consoleMessages.set(tabId, messages);
-      }
-    });
-  } catch (error) {
-    console.error('[Debug] Failed to start console monitoring:', error);
-  }
+    consoleMessages.set(tabId, messages);
+  });
 }
 
 /**
@@ -98,74 +127,67 @@ async function startNetworkMonitoring(tabId) {
     });
   }
 
-  try {
-    if (!debuggerSessions.has(tabId)) {
-      await chrome.debugger.attach({ tabId }, '1.3');
-      debuggerSessions.add(tabId);
-    }
+  const monitor = await getMonitor(tabId);
+
+  await enableDebuggerDomain(tabId, 'Network');
+
+  // Get current URL
+  const tab = await chrome.tabs.get(tabId);
+  networkRequests.get(tabId).currentUrl = tab.url;
+
+  if (monitor.network?.active) {
+    return; // Already monitoring
+  }
 
-    await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
-
-    // Get current URL
-    const tab = await chrome.tabs.get(tabId);
-    networkRequests.get(tabId).currentUrl = tab.url;
-
-    // Listen for network events
-    chrome.debugger.onEvent.addListener((source, method, params) => {
-      if (source.tabId !== tabId) return;
-
-      const storage = networkRequests.get(tabId);
-      if (!storage) return;
-
-      if (method === 'Network.requestWillBeSent') {
-        storage.requests.push({
-          requestId: params.requestId,
-          url: params.request.url,
-          method: params.request.method,
-          type: params.type,
-          timestamp: Date.now(),
-          status: 'pending'
-        });
-
-        // Keep last 500 requests
-        if (storage.requests.length > 500) {
-          storage.requests.shift();
-        }
+  // Listen for network events
+  const networkEvents = ['Network.requestWillBeSent', 'Network.responseReceived', 'Network.loadingFailed'];
+  monitor.network = subscribeCdpEvents(tabId, networkEvents, (method, params) => {
+    const storage = networkRequests.get(tabId);
+    if (!storage) return;
+
+    if (method === 'Network.requestWillBeSent') {
+      storage.requests.push({
+        requestId: params.requestId,
+        url: params.request.url,
+        method: params.request.method,
+        type: params.type,
+        timestamp: Date.now(),
+        status: 'pending'
+      });
+
+      // Keep last 500 requests
+      if (storage.requests.length > 500) {
+        storage.requests.shift();
       }
+    }
 
-      if (method === 'Network.responseReceived') {
-        const request = storage.requests.find(r => r.requestId === params.requestId);
-        if (request) {
-          request.status = params.response.status;
-          request.statusText = params.response.statusText;
-          request.mimeType = params.response.mimeType;
-        }
+    if (method === 'Network.responseReceived') {
+      const request = storage.requests.find(r => r.requestId === params.requestId);
+      if (request) {
+        request.status = params.response.status;
+        request.statusText = params.response.statusText;
+        request.mimeType = params.response.mimeType;
       }
+    }
 
-      if (method === 'Network.loadingFailed') {
-        const request = storage.requests.find(r => r.requestId === params.requestId);
-        if (request) {
-          request.status = 'failed';
-          request.error = params.errorText;
-        }
+    if (method === 'Network.loadingFailed') {
+      const request = storage.requests.find(r => r.requestId === params.requestId);
+      if (request) {
+        request.status = 'failed';
+        request.error = params.errorText;
       }
-    });
-  } catch (error) {
-    console.error('[Debug] Failed to start network monitoring:', error);
-  }
+    }
+  });
 }
 
 /**
  * Read console messages
  */
-export async function handleReadConsole(args) {
+export async function handleReadConsole(args, context = {}) {
   const { tabId, pattern, onlyErrors, clear, limit } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
   // Start monitoring if not already
+  context.setPhase?.('attach_debugger');
   await startConsoleMonitoring(tabId);
 
   let messages = consoleMessages.get(tabId) || [];
@@ -204,14 +226,11 @@ export async function handleReadConsole(args) {
 /**
  * Read network requests
  */
-export async function handleReadNetwork(args) {
+export async function handleReadNetwork(args, context = {}) {
   const { tabId, urlPattern, clear, limit } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
   // Start monitoring if not already
+  context.setPhase?.('attach_debugger');
   await startNetworkMonitoring(tabId);
 
   const storage = networkRequests.get(tabId);
@@ -249,15 +268,48 @@ export async function handleReadNetwork(args) {
 }
 
 /**
- * Stop debugger for a tab
+ * Stop console/network monitoring for a tab and release its debugger reference
  */
 export async function stopDebugger(tabId) {
-  if (debuggerSessions.has(tabId)) {
-    try {
-      await chrome.debugger.detach({ tabId });
-    } catch (e) {
-      // Ignore errors
-    }
-    debuggerSessions.delete(tabId);
+  const monitor = monitors.get(tabId);
+  if (!monitor) return;
+
+  monitors.delete(tabId);
+  monitor.console?.unsubscribe();
+  monitor.network?.unsubscribe();
+
+  // A reference still being taken is released once it is held
+  const acquired = await monitor.ready.then(() => true, () => false);
+  if (acquired) {
+    await releaseDebugger(tabId);
   }
 }
+
+registerTool({
+  name: 'read_console_messages',
+  description: 'Read console messages of a tab',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    pattern: { type: 'string' },
+    onlyErrors: { type: 'boolean' },
+    clear: { type: 'boolean' },
+    limit: { type: 'integer', minimum: 1 }
+  },
+  required: ['tabId'],
+  handler: handleReadConsole,
+  permission: 'read'
+});
+
+registerTool({
+  name: 'read_network_requests',
+  description: 'Read network requests of a tab',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    urlPattern: { type: 'string' },
+    clear: { type: 'boolean' },
+    limit: { type: 'integer', minimum: 1 }
+  },
+  required: ['tabId'],
+  handler: handleReadNetwork,
+  permission: 'read'
+});
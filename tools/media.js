@@ -4,6 +4,11 @@
  */
 
 import { getScreenshot } from './computer.js';
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+import { saveCheckpoint, loadCheckpoint, removeCheckpoint } from '../lib/session-state.js';
+import { storeImage, loadImage, removeImages } from '../lib/image-store.js';
+import { ToolError, getScriptResult } from '../lib/errors.js';
+import { measure } from '../lib/metrics.js';
 
 // GIF recording state per tab
 const gifRecordings = new Map();
@@ -11,6 +16,17 @@ const gifRecordings = new Map();
 // Offscreen document state
 let offscreenDocumentCreated = false;
 
+// Exports in progress: progressId -> reportProgress of the tool call
+const exportProgressReporters = new Map();
+
+// The offscreen document reports encoding progress as it goes
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type !== 'gif_progress') return;
+
+  const reportProgress = exportProgressReporters.get(message.progressId);
+  reportProgress?.({ phase: message.phase, percent: message.percent, message: message.message });
+});
+
 /**
  * Ensure offscreen document exists
  */
@@ -38,41 +54,111 @@ async function ensureOffscreenDocument() {
 /**
  * Handle GIF creator actions
  */
-export async function handleGifCreator(args) {
+export async function handleGifCreator(args, context = {}) {
   const { action, tabId, download, filename, options } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
   switch (action) {
     case 'start_recording':
-      return startRecording(tabId);
+      return await startRecording(tabId);
 
     case 'stop_recording':
-      return stopRecording(tabId);
+      return await stopRecording(tabId);
 
     case 'export':
-      return exportGif(tabId, download, filename, options);
+      return exportGif(tabId, download, filename, options, context);
 
     case 'clear':
-      return clearRecording(tabId);
+      return await clearRecording(tabId);
 
     default:
-      throw new Error(`Unknown gif_creator action: ${action}`);
+      throw new ToolError('INVALID_ARGUMENTS', `Unknown gif_creator action: ${action}`, { details: { action } });
+  }
+}
+
+/**
+ * Get a tab's recording, restoring it from the checkpoint after a worker restart
+ */
+async function getRecording(tabId) {
+  if (!gifRecordings.has(tabId)) {
+    const restored = await restoreRecording(tabId);
+    if (restored && !gifRecordings.has(tabId)) {
+      gifRecordings.set(tabId, restored);
+    }
   }
+  return gifRecordings.get(tabId);
+}
+
+/**
+ * Checkpoint key of a recording, and image store key of one of its frames
+ */
+function getRecordingKey(tabId) {
+  return `gifRecording_${tabId}`;
+}
+
+function getFrameKey(tabId, frameId) {
+  return `gifFrame_${tabId}_${frameId}`;
+}
+
+/**
+ * Checkpoint a recording's metadata; frame images go to the image store as added
+ */
+async function checkpointRecording(tabId, recording) {
+  const { frames, ...meta } = recording;
+  await saveCheckpoint({
+    [getRecordingKey(tabId)]: { ...meta, frames: frames.map(({ dataUrl, ...frame }) => frame) }
+  });
+}
+
+/**
+ * Rebuild a recording from its checkpoint
+ * Frames the image store no longer has are dropped and counted in framesLost
+ */
+async function restoreRecording(tabId) {
+  const { [getRecordingKey(tabId)]: meta } = await loadCheckpoint([getRecordingKey(tabId)]);
+  if (!meta) return null;
+
+  const { frames: savedFrames, ...rest } = meta;
+  const dataUrls = await Promise.all(savedFrames.map(frame => loadImage(getFrameKey(tabId, frame.id))));
+
+  // Old frame index -> index among the frames that survived
+  const frames = [];
+  const indexMap = new Map();
+  savedFrames.forEach((frame, index) => {
+    if (dataUrls[index]) {
+      indexMap.set(index, frames.length);
+      frames.push({ ...frame, dataUrl: dataUrls[index] });
+    }
+  });
+
+  const recording = {
+    ...rest,
+    frames,
+    actions: rest.actions
+      .filter(action => indexMap.has(action.frameIndex))
+      .map(action => ({ ...action, frameIndex: indexMap.get(action.frameIndex) })),
+    framesLost: (rest.framesLost || 0) + savedFrames.length - frames.length
+  };
+
+  console.log(`[Media] Restored recording for tab ${tabId}: ${frames.length} frames, ${recording.framesLost} lost`);
+  await checkpointRecording(tabId, recording);
+  return recording;
 }
 
 /**
  * Start GIF recording
  */
-function startRecording(tabId) {
-  gifRecordings.set(tabId, {
+async function startRecording(tabId) {
+  await clearRecording(tabId);
+
+  const recording = {
     frames: [],
     actions: [],
     startTime: Date.now(),
-    isRecording: true
-  });
+    isRecording: true,
+    framesLost: 0
+  };
+  gifRecordings.set(tabId, recording);
+  await checkpointRecording(tabId, recording);
 
   return {
     success: true,
@@ -83,13 +169,16 @@ function startRecording(tabId) {
 /**
  * Stop GIF recording
  */
-function stopRecording(tabId) {
-  const recording = gifRecordings.get(tabId);
+async function stopRecording(tabId) {
+  const recording = await getRecording(tabId);
   if (!recording) {
-    throw new Error('No active recording for this tab');
+    throw new ToolError('INVALID_STATE', 'No active recording for this tab; start one with start_recording', {
+      details: { tabId }
+    });
   }
 
   recording.isRecording = false;
+  await checkpointRecording(tabId, recording);
 
   return {
     success: true,
@@ -101,46 +190,67 @@ function stopRecording(tabId) {
 /**
  * Clear recording data
  */
-function clearRecording(tabId) {
+async function clearRecording(tabId) {
+  const recording = await getRecording(tabId);
   gifRecordings.delete(tabId);
 
+  if (recording) {
+    await removeCheckpoint([getRecordingKey(tabId)]);
+    await removeImages(recording.frames.map(frame => getFrameKey(tabId, frame.id)))
+      .catch(error => console.warn('[Media] Could not remove frames:', error.message));
+  }
+
   return { success: true };
 }
 
 /**
  * Export GIF
  */
-async function exportGif(tabId, download, filename, options) {
-  const recording = gifRecordings.get(tabId);
+async function exportGif(tabId, download, filename, options, context) {
+  const recording = await getRecording(tabId);
   if (!recording || recording.frames.length === 0) {
-    throw new Error('No frames recorded');
+    throw new ToolError('INVALID_STATE', 'No frames recorded for this tab', { details: { tabId } });
   }
 
+  context.setPhase?.('create_offscreen_document');
   await ensureOffscreenDocument();
 
   // Send frames to offscreen document for GIF generation
-  const result = await chrome.runtime.sendMessage({
-    target: 'offscreen',
-    action: 'generate_gif',
-    frames: recording.frames,
-    actions: recording.actions,
-    options: {
-      showClickIndicators: options?.showClickIndicators ?? true,
-      showDragPaths: options?.showDragPaths ?? true,
-      showActionLabels: options?.showActionLabels ?? true,
-      showProgressBar: options?.showProgressBar ?? true,
-      showWatermark: options?.showWatermark ?? true,
-      quality: options?.quality ?? 10
-    }
-  });
+  context.setPhase?.('encode_gif');
+  const progressId = crypto.randomUUID();
+  if (context.reportProgress) {
+    exportProgressReporters.set(progressId, context.reportProgress);
+  }
+
+  let result;
+  try {
+    result = await measure('encode_gif', () => chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'generate_gif',
+      progressId,
+      frames: recording.frames,
+      actions: recording.actions,
+      options: {
+        showClickIndicators: options?.showClickIndicators ?? true,
+        showDragPaths: options?.showDragPaths ?? true,
+        showActionLabels: options?.showActionLabels ?? true,
+        showProgressBar: options?.showProgressBar ?? true,
+        showWatermark: options?.showWatermark ?? true,
+        quality: options?.quality ?? 10
+      }
+    }));
+  } finally {
+    exportProgressReporters.delete(progressId);
+  }
 
   if (result.error) {
-    throw new Error(result.error);
+    throw new ToolError('MEDIA_FAILED', result.error);
   }
 
   // Download if requested
   if (download) {
     const name = filename || `recording-${Date.now()}.gif`;
+    context.setPhase?.('download');
     await chrome.downloads.download({
       url: result.dataUrl,
       filename: name
@@ -150,7 +260,8 @@ async function exportGif(tabId, download, filename, options) {
   return {
     success: true,
     dataUrl: result.dataUrl,
-    frameCount: recording.frames.length
+    frameCount: recording.frames.length,
+    ...(recording.framesLost > 0 && { framesLost: recording.framesLost })
   };
 }
 
@@ -158,7 +269,7 @@ async function exportGif(tabId, download, filename, options) {
  * Add frame to current recording
  */
 export async function addGifFrame(tabId, actionInfo) {
-  const recording = gifRecordings.get(tabId);
+  const recording = await getRecording(tabId);
   if (!recording || !recording.isRecording) {
     return; // Not recording
   }
@@ -166,13 +277,15 @@ export async function addGifFrame(tabId, actionInfo) {
   try {
     // Capture current screenshot
     const tab = await chrome.tabs.get(tabId);
-    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const dataUrl = await measure('capture_gif_frame', () => chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }));
 
-    recording.frames.push({
+    const frame = {
+      id: `${Date.now()}_${recording.frames.length}`,
       dataUrl,
       timestamp: Date.now(),
       delay: 100 // Default frame delay
-    });
+    };
+    recording.frames.push(frame);
 
     // Record action info for overlays
     if (actionInfo) {
@@ -183,6 +296,9 @@ export async function addGifFrame(tabId, actionInfo) {
         frameIndex: recording.frames.length - 1
       });
     }
+
+    await storeImage(getFrameKey(tabId, frame.id), dataUrl);
+    await checkpointRecording(tabId, recording);
   } catch (error) {
     console.error('[Media] Failed to capture frame:', error);
   }
@@ -191,27 +307,22 @@ export async function addGifFrame(tabId, actionInfo) {
 /**
  * Handle image upload
  */
-export async function handleUploadImage(args) {
+export async function handleUploadImage(args, context = {}) {
   const { tabId, imageId, ref, coordinate, filename } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!imageId) {
-    throw new Error('imageId is required');
-  }
-
   // Get the image data
-  const dataUrl = getScreenshot(imageId);
+  const dataUrl = await getScreenshot(imageId);
   if (!dataUrl) {
-    throw new Error(`Image not found: ${imageId}`);
+    throw new ToolError('NOT_FOUND', `Image not found: ${imageId}. Take a new screenshot to get an imageId`, {
+      details: { imageId }
+    });
   }
 
   // Convert data URL to blob
   const response = await fetch(dataUrl);
   const blob = await response.blob();
 
+  context.setPhase?.('execute_script');
   if (ref) {
     // Upload to file input element
     return uploadToFileInput(tabId, ref, blob, filename || 'image.png');
@@ -219,7 +330,7 @@ export async function handleUploadImage(args) {
     // Drag and drop to coordinate
     return dragDropToCoordinate(tabId, coordinate, blob, filename || 'image.png');
   } else {
-    throw new Error('Either ref or coordinate is required');
+    throw new ToolError('INVALID_ARGUMENTS', 'Either ref or coordinate is required');
   }
 }
 
@@ -229,17 +340,21 @@ export async function handleUploadImage(args) {
 async function uploadToFileInput(tabId, ref, blob, filename) {
   // Create a file from the blob
   const file = new File([blob], filename, { type: blob.type });
+  const dataUrl = await blobToDataUrl(blob);
 
-  const results = await chrome.scripting.executeScript({
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (elementRef, fileData, fileName, fileType) => {
-      const element = window.__claudeElementMap?.[elementRef]?.deref();
-      if (!element) {
-        return { success: false, error: 'Element not found' };
+      const weakRef = window.__claudeElementMap?.[elementRef];
+      const element = weakRef?.deref();
+      if (!element?.isConnected) {
+        return weakRef
+          ? { error: `Element ${elementRef} is no longer on the page; call read_page or find again`, errorCode: 'ELEMENT_STALE' }
+          : { error: `Element ${elementRef} not found; call read_page or find for current refs`, errorCode: 'ELEMENT_NOT_FOUND' };
       }
 
       if (element.tagName.toLowerCase() !== 'input' || element.type !== 'file') {
-        return { success: false, error: 'Element is not a file input' };
+        return { error: `Element ${elementRef} is not a file input`, errorCode: 'ELEMENT_NOT_INTERACTABLE' };
       }
 
       // Create file from base64 data
@@ -262,14 +377,10 @@ async function uploadToFileInput(tabId, ref, blob, filename) {
 
       return { success: true };
     },
-    args: [ref, await blobToDataUrl(blob), filename, blob.type]
-  });
-
-  if (!results || results.length === 0) {
-    throw new Error('Failed to upload file');
-  }
+    args: [ref, dataUrl, filename, blob.type]
+  }));
 
-  return results[0].result;
+  return getScriptResult(results, 'upload file');
 }
 
 /**
@@ -279,13 +390,13 @@ async function dragDropToCoordinate(tabId, coordinate, blob, filename) {
   const [x, y] = coordinate;
   const dataUrl = await blobToDataUrl(blob);
 
-  const results = await chrome.scripting.executeScript({
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (dropX, dropY, fileData, fileName, fileType) => {
       // Find element at coordinate
       const element = document.elementFromPoint(dropX, dropY);
       if (!element) {
-        return { success: false, error: 'No element at coordinate' };
+        return { error: `No element at (${dropX}, ${dropY})`, errorCode: 'ELEMENT_NOT_FOUND' };
       }
 
       // Create file from base64 data
@@ -316,13 +427,9 @@ async function dragDropToCoordinate(tabId, coordinate, blob, filename) {
       return { success: true };
     },
     args: [x, y, dataUrl, filename, blob.type]
-  });
+  }));
 
-  if (!results || results.length === 0) {
-    throw new Error('Failed to drop file');
-  }
-
-  return results[0].result;
+  return getScriptResult(results, 'drop file');
 }
 
 /**
@@ -336,3 +443,35 @@ function blobToDataUrl(blob) {
     reader.readAsDataURL(blob);
   });
 }
+
+registerTool({
+  name: 'gif_creator',
+  description: 'Record and export GIFs of browser actions',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    action: { type: 'string', enum: ['start_recording', 'stop_recording', 'export', 'clear'] },
+    download: { type: 'boolean' },
+    filename: { type: 'string' },
+    options: { type: 'object' }
+  },
+  required: ['tabId', 'action'],
+  handler: handleGifCreator,
+  permission: 'media',
+  timeoutMs: 120000
+});
+
+registerTool({
+  name: 'upload_image',
+  description: 'Upload a captured screenshot to a file input or drop target',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    imageId: { type: 'string' },
+    ref: { type: 'string' },
+    coordinate: COMMON_SCHEMAS.coordinate,
+    filename: { type: 'string' }
+  },
+  required: ['tabId', 'imageId'],
+  handler: handleUploadImage,
+  permission: 'interact',
+  timeoutMs: 60000
+});
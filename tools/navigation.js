@@ -3,49 +3,34 @@
  * Handles URL navigation and window resizing
  */
 
+import { throwIfAborted } from '../lib/cancellation.js';
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+import { ToolError } from '../lib/errors.js';
+import { enforceUrlPermission } from '../lib/permissions.js';
+import { enforcePlanDomain } from '../lib/plan.js';
+
 /**
  * Navigate to URL or go back/forward in history
  */
-export async function handleNavigate(args) {
+export async function handleNavigate(args, context = {}) {
   const { tabId, url } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!url) {
-    throw new Error('url is required');
-  }
-
   // Handle history navigation
-  if (url === 'back') {
-    await chrome.tabs.goBack(tabId);
-    // Wait for navigation
-    await waitForNavigation(tabId);
-    const tab = await chrome.tabs.get(tabId);
-    return { success: true, url: tab.url, title: tab.title };
-  }
-
-  if (url === 'forward') {
-    await chrome.tabs.goForward(tabId);
-    await waitForNavigation(tabId);
-    const tab = await chrome.tabs.get(tabId);
-    return { success: true, url: tab.url, title: tab.title };
-  }
-
-  // Normalize URL
-  let normalizedUrl = url;
-  if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('about:')) {
-    normalizedUrl = 'https://' + url;
+  if (url === 'back' || url === 'forward') {
+    return navigateHistory(tabId, url, context);
   }
 
   // Navigate to URL
-  await chrome.tabs.update(tabId, { url: normalizedUrl });
+  context.setPhase?.('start_navigation');
+  await chrome.tabs.update(tabId, { url: normalizeUrl(url) });
 
   // Wait for page load
-  await waitForNavigation(tabId);
+  context.setPhase?.('wait_for_load');
+  await waitForNavigation(tabId, 30000, context);
 
+  // The target was checked before; a redirect may still have ended elsewhere
   const tab = await chrome.tabs.get(tabId);
+  await leaveIfRefused(tab, () => chrome.tabs.goBack(tabId), context);
 
   return {
     success: true,
@@ -55,46 +40,123 @@ export async function handleNavigate(args) {
 }
 
 /**
- * Wait for navigation to complete
+ * Go back or forward in a tab's history
+ * The entry is only known once reached, so it is checked against the domain
+ * lists and the plan afterwards; a refused entry is left again the other way
+ */
+async function navigateHistory(tabId, direction, context) {
+  const go = () => (direction === 'back' ? chrome.tabs.goBack(tabId) : chrome.tabs.goForward(tabId));
+  const undo = () => (direction === 'back' ? chrome.tabs.goForward(tabId) : chrome.tabs.goBack(tabId));
+
+  await go();
+  context.setPhase?.('wait_for_load');
+  await waitForNavigation(tabId, 30000, context);
+
+  const tab = await chrome.tabs.get(tabId);
+  await leaveIfRefused(tab, undo, context);
+
+  return { success: true, url: tab.url, title: tab.title };
+}
+
+/**
+ * Check the page a navigation arrived at against the domain lists and the plan,
+ * leaving it with `leave` (or for about:blank) and rethrowing if it is refused
+ */
+async function leaveIfRefused(tab, leave, context) {
+  try {
+    await enforceUrlPermission(tab.url);
+    await enforcePlanDomain(tab.url);
+  } catch (error) {
+    context.setPhase?.('leave_refused_page');
+    try {
+      await leave();
+    } catch (leaveError) {
+      // Nowhere to return to; stop the page instead
+      await chrome.tabs.update(tab.id, { url: 'about:blank' }).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Normalize a navigation target, defaulting to https:// when no scheme is given
+ */
+export function normalizeUrl(url) {
+  if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('about:')) {
+    return 'https://' + url;
+  }
+  return url;
+}
+
+/**
+ * Wait for navigation to complete, reporting progress when the main frame
+ * commits, when its DOM is ready, and when it has loaded
  */
-function waitForNavigation(tabId, timeoutMs = 30000) {
+function waitForNavigation(tabId, timeoutMs = 30000, context = {}) {
+  const { signal } = context;
+
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
+    throwIfAborted(signal);
+
+    const cleanup = () => {
+      clearTimeout(timeout);
       chrome.tabs.onUpdated.removeListener(listener);
-      reject(new Error('Navigation timeout'));
+      chrome.webNavigation.onCommitted.removeListener(onCommitted);
+      chrome.webNavigation.onDOMContentLoaded.removeListener(onDOMContentLoaded);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new ToolError('TIMEOUT', `Page did not finish loading within ${timeoutMs}ms`, {
+        details: { tabId, timeoutMs, phase: 'wait_for_load' }
+      }));
     }, timeoutMs);
 
-    const listener = (updatedTabId, changeInfo) => {
+    const listener = (updatedTabId, changeInfo, tab) => {
       if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        clearTimeout(timeout);
-        chrome.tabs.onUpdated.removeListener(listener);
+        cleanup();
+        context.reportProgress?.({ phase: 'loaded', percent: 100, message: `Loaded ${tab.url}` });
         resolve();
       }
     };
 
+    const onCommitted = (details) => {
+      if (details.tabId === tabId && details.frameId === 0) {
+        context.reportProgress?.({ phase: 'committed', message: `Committed ${details.url}` });
+      }
+    };
+
+    const onDOMContentLoaded = (details) => {
+      if (details.tabId === tabId && details.frameId === 0) {
+        context.reportProgress?.({ phase: 'dom_content_loaded', message: 'DOM ready, waiting for subresources' });
+      }
+    };
+
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason);
+    };
+
     chrome.tabs.onUpdated.addListener(listener);
+    chrome.webNavigation.onCommitted.addListener(onCommitted);
+    chrome.webNavigation.onDOMContentLoaded.addListener(onDOMContentLoaded);
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
 }
 
 /**
  * Resize browser window
  */
-export async function handleResizeWindow(args) {
+export async function handleResizeWindow(args, context = {}) {
   const { tabId, width, height } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!width || !height) {
-    throw new Error('width and height are required');
-  }
-
   // Get the window containing this tab
   const tab = await chrome.tabs.get(tabId);
   const windowId = tab.windowId;
 
   // Resize the window
+  context.setPhase?.('resize_window');
   await chrome.windows.update(windowId, {
     width: Math.round(width),
     height: Math.round(height)
@@ -109,3 +171,32 @@ export async function handleResizeWindow(args) {
     height: window.height
   };
 }
+
+registerTool({
+  name: 'navigate',
+  description: 'Navigate to a URL, or "back" / "forward" in history',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    url: { type: 'string' }
+  },
+  required: ['tabId', 'url'],
+  handler: handleNavigate,
+  permission: 'navigate',
+  checksTabUrl: false,
+  targetsUrl: true,
+  showIndicator: true,
+  timeoutMs: 45000
+});
+
+registerTool({
+  name: 'resize_window',
+  description: 'Resize the window containing a tab',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    width: { type: 'number', minimum: 1 },
+    height: { type: 'number', minimum: 1 }
+  },
+  required: ['tabId', 'width', 'height'],
+  handler: handleResizeWindow,
+  permission: 'interact'
+});
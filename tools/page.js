@@ -3,36 +3,29 @@
  * Handles reading page content and executing JavaScript
  */
 
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+import { getScriptResult } from '../lib/errors.js';
+import { measure } from '../lib/metrics.js';
+
 /**
  * Read page accessibility tree
  */
-export async function handleReadPage(args) {
+export async function handleReadPage(args, context = {}) {
   const { tabId, filter, depth, ref_id } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  const results = await chrome.scripting.executeScript({
+  context.setPhase?.('execute_script');
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (f, d, r) => {
       if (typeof window.__generateAccessibilityTree !== 'function') {
-        return { error: 'Accessibility tree script not loaded' };
+        return { error: 'Accessibility tree script not loaded; reload the page and try again', errorCode: 'SCRIPT_FAILED' };
       }
       return window.__generateAccessibilityTree(f, d, r);
     },
     args: [filter || 'all', depth || 15, ref_id || null]
-  });
-
-  if (!results || results.length === 0) {
-    throw new Error('Failed to execute script');
-  }
-
-  const result = results[0].result;
+  }));
 
-  if (result.error) {
-    throw new Error(result.error);
-  }
+  const result = getScriptResult(results, 'read the page');
 
   // Get current URL and title
   const tab = await chrome.tabs.get(tabId);
@@ -48,18 +41,11 @@ export async function handleReadPage(args) {
 /**
  * Find elements using natural language query
  */
-export async function handleFind(args) {
+export async function handleFind(args, context = {}) {
   const { tabId, query } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (!query) {
-    throw new Error('query is required');
-  }
-
-  const results = await chrome.scripting.executeScript({
+  context.setPhase?.('execute_script');
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (searchQuery) => {
       const matches = [];
@@ -167,26 +153,19 @@ export async function handleFind(args) {
       };
     },
     args: [query]
-  });
+  }));
 
-  if (!results || results.length === 0) {
-    throw new Error('Failed to execute search');
-  }
-
-  return results[0].result;
+  return getScriptResult(results, 'search the page');
 }
 
 /**
  * Get page text content
  */
-export async function handleGetPageText(args) {
+export async function handleGetPageText(args, context = {}) {
   const { tabId } = args;
 
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  const results = await chrome.scripting.executeScript({
+  context.setPhase?.('execute_script');
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: () => {
       // Try to get article content first
@@ -213,13 +192,9 @@ export async function handleGetPageText(args) {
         isArticle: false
       };
     }
-  });
+  }));
 
-  if (!results || results.length === 0) {
-    throw new Error('Failed to get page text');
-  }
-
-  const { text, isArticle } = results[0].result;
+  const { text, isArticle } = getScriptResult(results, 'get page text');
   const tab = await chrome.tabs.get(tabId);
 
   return {
@@ -233,22 +208,11 @@ export async function handleGetPageText(args) {
 /**
  * Execute JavaScript in page context
  */
-export async function handleJavascript(args) {
-  const { tabId, text, action } = args;
-
-  if (!tabId) {
-    throw new Error('tabId is required');
-  }
-
-  if (action !== 'javascript_exec') {
-    throw new Error('Invalid action - expected javascript_exec');
-  }
-
-  if (!text) {
-    throw new Error('JavaScript code is required');
-  }
+export async function handleJavascript(args, context = {}) {
+  const { tabId, text } = args;
 
-  const results = await chrome.scripting.executeScript({
+  context.setPhase?.('execute_script');
+  const results = await measure('execute_script', () => chrome.scripting.executeScript({
     target: { tabId },
     func: (code) => {
       try {
@@ -257,25 +221,68 @@ export async function handleJavascript(args) {
         const result = fn();
         return { success: true, result: result };
       } catch (error) {
-        return { success: false, error: error.message };
+        return { error: error.message, errorCode: 'JAVASCRIPT_ERROR', errorDetails: { name: error.name } };
       }
     },
     args: [text],
     world: 'MAIN' // Execute in page context, not isolated world
-  });
+  }));
 
-  if (!results || results.length === 0) {
-    throw new Error('Failed to execute JavaScript');
-  }
-
-  const { success, result, error } = results[0].result;
-
-  if (!success) {
-    throw new Error(error);
-  }
+  const { result } = getScriptResult(results, 'execute JavaScript');
 
   return {
     success: true,
     result: result !== undefined ? JSON.stringify(result) : undefined
   };
 }
+
+registerTool({
+  name: 'read_page',
+  description: 'Read the accessibility tree of a page',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    filter: { type: 'string', enum: ['all', 'interactive'] },
+    depth: { type: 'integer', minimum: 1 },
+    ref_id: { type: 'string', description: 'Start from this element ref' }
+  },
+  required: ['tabId'],
+  handler: handleReadPage,
+  permission: 'read'
+});
+
+registerTool({
+  name: 'find',
+  description: 'Find elements matching a text query',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    query: { type: 'string' }
+  },
+  required: ['tabId', 'query'],
+  handler: handleFind,
+  permission: 'read'
+});
+
+registerTool({
+  name: 'get_page_text',
+  description: 'Get the text content of a page',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId
+  },
+  required: ['tabId'],
+  handler: handleGetPageText,
+  permission: 'read'
+});
+
+registerTool({
+  name: 'javascript_tool',
+  description: 'Execute JavaScript in the page context',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    action: { type: 'string', enum: ['javascript_exec'] },
+    text: { type: 'string', description: 'Code to execute' }
+  },
+  required: ['tabId', 'action', 'text'],
+  handler: handleJavascript,
+  permission: 'interact',
+  showIndicator: true
+});
@@ -0,0 +1,72 @@
+/**
+ * Plan Tools
+ * Stores the approach and domains Claude plans to use and asks the user to review them
+ */
+
+import { registerTool } from '../lib/tool-registry.js';
+import { getSettings } from '../lib/permissions.js';
+import { USER_DECISION_TOOL_TIMEOUT_MS } from '../lib/approvals.js';
+import { setPlan, notifyPlanUpdated, waitForPlanDecision, PLAN_STATUS } from '../lib/plan.js';
+
+/**
+ * Update plan - show user the planned actions
+ * With plan enforcement on, waits for the user's decision, since tool calls on
+ * the plan's domains are refused until it is approved
+ */
+export async function handleUpdatePlan(args, context = {}) {
+  const plan = await setPlan({ domains: args.domains, approach: args.approach });
+  const settings = await getSettings();
+
+  if (settings.enforce_plan_domains || settings.notifications_enabled) {
+    await notifyPlanUpdated(plan);
+  }
+
+  let status = plan.status;
+  if (settings.enforce_plan_domains) {
+    context.setPhase?.('plan_review');
+    status = await waitForPlanDecision(plan.id, {
+      timeoutMs: settings.approval_timeout_seconds * 1000,
+      signal: context.signal
+    });
+  }
+
+  return {
+    success: true,
+    message: describeStatus(status, settings.enforce_plan_domains),
+    planId: plan.id,
+    status,
+    enforced: settings.enforce_plan_domains,
+    domains: plan.domains,
+    approach: plan.approach
+  };
+}
+
+/**
+ * Tell Claude where the plan stands after the update
+ */
+function describeStatus(status, enforced) {
+  switch (status) {
+    case PLAN_STATUS.APPROVED:
+      return 'Plan approved by the user';
+    case PLAN_STATUS.REJECTED:
+      return 'The user rejected the plan. Ask what to change and call update_plan again';
+    case 'replaced':
+      return 'The plan was replaced by a newer one';
+    default:
+      return enforced
+        ? 'Plan updated but not approved yet; tool calls on its domains are refused until the user approves it'
+        : 'Plan updated';
+  }
+}
+
+registerTool({
+  name: 'update_plan',
+  description: 'Show the user the planned approach and domains for review',
+  properties: {
+    domains: { type: 'array', items: { type: 'string' } },
+    approach: { type: 'array', items: { type: 'string' } }
+  },
+  handler: handleUpdatePlan,
+  permission: 'meta',
+  timeoutMs: USER_DECISION_TOOL_TIMEOUT_MS
+});
@@ -0,0 +1,76 @@
+/**
+ * Shortcut Tools
+ * Lists and runs the shortcuts stored locally (managed from the options page)
+ */
+
+import { registerTool } from '../lib/tool-registry.js';
+import { getShortcuts, findShortcut, getShortcutParameters, expandShortcut } from '../lib/shortcuts.js';
+import { ToolError } from '../lib/errors.js';
+
+/**
+ * List available shortcuts
+ */
+export async function handleShortcutsList(args) {
+  const shortcuts = await getShortcuts();
+
+  return {
+    shortcuts: shortcuts.map(shortcut => ({
+      id: shortcut.id,
+      command: shortcut.name,
+      description: shortcut.description,
+      parameters: getShortcutParameters(shortcut),
+      steps: shortcut.steps.map(step => step.tool)
+    })),
+    // Kept for CLI compatibility; any shortcut can hold several steps
+    workflows: []
+  };
+}
+
+/**
+ * Execute a shortcut with the given parameters, step by step through the batch tool
+ */
+export async function handleShortcutsExecute(args, context = {}) {
+  const { command, shortcutId, parameters } = args;
+  if (!command && !shortcutId) {
+    throw new ToolError('INVALID_ARGUMENTS', 'shortcuts_execute needs a command or shortcutId');
+  }
+
+  const shortcut = await findShortcut(shortcutId || command);
+  if (!shortcut) {
+    const available = (await getShortcuts()).map(s => s.name);
+    throw new ToolError('NOT_FOUND', `Shortcut not found: ${shortcutId || command}. ` +
+      `Available: ${available.length > 0 ? available.join(', ') : 'none (create them in the extension options)'}`, {
+      details: { shortcut: shortcutId || command, available }
+    });
+  }
+
+  const steps = expandShortcut(shortcut, parameters);
+
+  context.setPhase?.('run_steps');
+  const result = await context.invoke('batch', { steps });
+
+  return {
+    shortcut: shortcut.name,
+    ...result
+  };
+}
+
+registerTool({
+  name: 'shortcuts_list',
+  description: 'List available shortcuts and workflows',
+  handler: handleShortcutsList,
+  permission: 'meta'
+});
+
+registerTool({
+  name: 'shortcuts_execute',
+  description: 'Execute a shortcut',
+  properties: {
+    command: { type: 'string', description: 'Shortcut name' },
+    shortcutId: { type: 'string' },
+    parameters: { type: 'object', description: 'Values for the shortcut\'s {{placeholders}}' }
+  },
+  handler: handleShortcutsExecute,
+  permission: 'meta',
+  timeoutMs: 120000
+});
@@ -1,53 +1,107 @@
 /**
  * Tab Management Tools
  * Handles tab group management with configurable name and color
+ * Each CLI session (the sessionId on tool_request) gets its own group; requests
+ * without one share the default group. Groups are tracked by ID in lib/managed-groups.js
  */
 
 import { getSettings } from '../lib/permissions.js';
+import { registerTool, COMMON_SCHEMAS } from '../lib/tool-registry.js';
+import { ToolError } from '../lib/errors.js';
+import { USER_DECISION_TOOL_TIMEOUT_MS } from '../lib/approvals.js';
+import { normalizeUrl } from './navigation.js';
+import {
+  getManagedGroup,
+  getManagedGroups,
+  setManagedGroup,
+  addManagedTabs,
+  removeManagedGroup,
+  isTabInManagedGroup,
+  groupExists
+} from '../lib/managed-groups.js';
+import {
+  createAdoptionRequest,
+  notifyAdoptionRequested,
+  waitForAdoptionAnswer,
+  clearAdoptionRequest,
+  rememberTabOrigin,
+  releaseTab,
+  ADOPTION_STATUS
+} from '../lib/tab-adoption.js';
 
-let mcpGroupId = null;
+// Colors given to the groups of additional sessions, first unused one wins
+const SESSION_COLORS = ['blue', 'green', 'purple', 'cyan', 'pink', 'yellow', 'red', 'grey', 'orange'];
 
 /**
  * Get tab group settings (name and color)
+ * A session's group is titled with its ID, so sessions can be told apart in the tab strip
  */
-async function getTabGroupSettings() {
+async function getTabGroupSettings(sessionId) {
   const settings = await getSettings();
-  return {
-    name: settings.tab_group_name || 'Facai',
-    color: settings.tab_group_color || 'orange'
-  };
+  const name = settings.tab_group_name || 'Facai';
+  const color = settings.tab_group_color || 'orange';
+
+  if (!sessionId) {
+    return { name, color };
+  }
+  return { name: `${name} (${String(sessionId).slice(0, 8)})`, color };
+}
+
+/**
+ * Pick a color for a new session group that no other managed group is using
+ */
+async function pickSessionColor(defaultColor) {
+  const managedGroupIds = Object.values(await getManagedGroups()).map(record => record.groupId);
+  const groups = await chrome.tabGroups.query({});
+  const usedColors = new Set(groups.filter(g => managedGroupIds.includes(g.id)).map(g => g.color));
+  usedColors.add(defaultColor);
+
+  return SESSION_COLORS.find(color => !usedColors.has(color)) || defaultColor;
 }
 
 /**
- * Get or create tab group context
+ * Get or create tab group context for the calling session
  */
-export async function handleTabsContext(args) {
+export async function handleTabsContext(args, context = {}) {
   const { createIfEmpty } = args || {};
-  const { name, color } = await getTabGroupSettings();
+  const { sessionId } = context;
 
-  // Try to find existing group by name
-  const groups = await chrome.tabGroups.query({ title: name });
+  const record = await getManagedGroup(sessionId);
+  if (record && await groupExists(record.groupId)) {
+    const tabs = await chrome.tabs.query({ groupId: record.groupId });
 
-  if (groups.length > 0) {
-    mcpGroupId = groups[0].id;
-    const tabs = await chrome.tabs.query({ groupId: mcpGroupId });
+    // Resync the members, in case an event was missed while the worker was down
+    await setManagedGroup(sessionId, {
+      groupId: record.groupId,
+      windowId: tabs[0]?.windowId ?? record.windowId,
+      tabIds: tabs.map(t => t.id)
+    });
+
+    // Adopted popups live in their own windows, outside the group
+    const popups = await Promise.all(record.popupTabIds.map(tabId => chrome.tabs.get(tabId).catch(() => null)));
 
     return {
-      groupId: mcpGroupId,
-      tabs: tabs.map(t => ({
-        id: t.id,
-        url: t.url,
-        title: t.title,
-        active: t.active
-      }))
+      groupId: record.groupId,
+      windowId: tabs[0]?.windowId ?? record.windowId,
+      tabs: [
+        ...tabs.map(describeTab),
+        ...popups.filter(Boolean).map(tab => ({ ...describeTab(tab), popup: true }))
+      ]
     };
   }
 
+  // The group was closed without us noticing
+  if (record) {
+    await removeManagedGroup(sessionId);
+  }
+
   // No existing group
   if (!createIfEmpty) {
     return { groupId: null, tabs: [] };
   }
 
+  const { name, color } = await getTabGroupSettings(sessionId);
+
   // Create new window with tab
   const newWindow = await chrome.windows.create({
     url: 'about:blank',
@@ -57,19 +111,21 @@ export async function handleTabsContext(args) {
   const tabId = newWindow.tabs[0].id;
 
   // Create and configure group
-  mcpGroupId = await chrome.tabs.group({
+  const groupId = await chrome.tabs.group({
     tabIds: [tabId],
     createProperties: { windowId: newWindow.id }
   });
+  await setManagedGroup(sessionId, { groupId, windowId: newWindow.id, tabIds: [tabId] });
 
-  await chrome.tabGroups.update(mcpGroupId, {
+  await chrome.tabGroups.update(groupId, {
     title: name,
-    color: color,
+    color: sessionId ? await pickSessionColor(color) : color,
     collapsed: false
   });
 
   return {
-    groupId: mcpGroupId,
+    groupId,
+    windowId: newWindow.id,
     tabs: [{
       id: tabId,
       url: 'about:blank',
@@ -80,50 +136,218 @@ export async function handleTabsContext(args) {
 }
 
 /**
- * Create new tab in the group
+ * Describe a tab for tool results
  */
-export async function handleTabsCreate(args) {
-  // Ensure we have a group
-  if (!mcpGroupId) {
-    const context = await handleTabsContext({ createIfEmpty: true });
-    if (!context.groupId) {
-      throw new Error('Failed to create tab group');
+function describeTab(tab) {
+  return {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    active: tab.active
+  };
+}
+
+/**
+ * Get the calling session's group ID, creating the group if needed
+ */
+async function ensureSessionGroup(context) {
+  let groupId = await getMcpGroupId(context.sessionId);
+  if (!groupId || !(await groupExists(groupId))) {
+    ({ groupId } = await handleTabsContext({ createIfEmpty: true }, context));
+    if (!groupId) {
+      throw new ToolError('TAB_GROUP_FAILED', 'Failed to create tab group');
     }
   }
+  return groupId;
+}
 
-  // Get the window containing the group
-  const existingTabs = await chrome.tabs.query({ groupId: mcpGroupId });
-  if (existingTabs.length === 0) {
-    throw new Error('Tab group has no tabs');
-  }
+/**
+ * Create new tab in the calling session's group
+ * With a url the tab starts loading it without waiting; with active: false it
+ * loads in the background, so several pages can load in parallel
+ */
+export async function handleTabsCreate(args, context = {}) {
+  const { sessionId } = context;
+  const { url, active = true } = args;
+
+  const groupId = await ensureSessionGroup(context);
 
-  const windowId = existingTabs[0].windowId;
+  // Get the window containing the group
+  const { windowId } = await chrome.tabGroups.get(groupId);
 
   // Create new tab
   const newTab = await chrome.tabs.create({
-    url: 'about:blank',
+    url: url ? normalizeUrl(url) : 'about:blank',
     windowId,
-    active: true
+    active
   });
 
   // Add to group
   await chrome.tabs.group({
     tabIds: [newTab.id],
-    groupId: mcpGroupId
+    groupId
   });
+  await addManagedTabs(sessionId, [newTab.id]);
 
   return {
     id: newTab.id,
-    url: newTab.url || 'about:blank',
+    url: newTab.pendingUrl || newTab.url || 'about:blank',
     title: newTab.title || 'New Tab',
-    groupId: mcpGroupId
+    active: newTab.active,
+    groupId
   };
 }
 
 /**
- * Validate that a tab is in the managed group
+ * Close a tab of the group
+ * Closing the last tab also removes the group; tabs_context_mcp can create a new one
+ */
+export async function handleTabsClose(args) {
+  await chrome.tabs.remove(args.tabId);
+  return { success: true, closedTabId: args.tabId };
+}
+
+/**
+ * Make a tab of the group the active tab of its window
+ */
+export async function handleTabsActivate(args) {
+  const tab = await chrome.tabs.update(args.tabId, { active: true });
+  return { success: true, tab: describeTab(tab) };
+}
+
+/**
+ * Duplicate a tab of the group, keeping the copy in the group
+ */
+export async function handleTabsDuplicate(args, context = {}) {
+  const { sessionId } = context;
+  await assertNotPopup(args.tabId, sessionId, 'duplicated');
+  const groupId = await getMcpGroupId(sessionId);
+
+  const copy = await chrome.tabs.duplicate(args.tabId);
+  if (!copy) {
+    throw new ToolError('TAB_NOT_FOUND', `Tab ${args.tabId} could not be duplicated`, { details: { tabId: args.tabId } });
+  }
+
+  // Chrome usually groups the copy with the original, but not for every kind of tab
+  await chrome.tabs.group({ tabIds: [copy.id], groupId });
+  await addManagedTabs(sessionId, [copy.id]);
+
+  return { success: true, tab: describeTab(copy), groupId };
+}
+
+/**
+ * Refuse a tab-strip operation on an adopted popup, which has no place in the group
+ */
+async function assertNotPopup(tabId, sessionId, action) {
+  const record = await getManagedGroup(sessionId);
+  if (record?.popupTabIds.includes(tabId)) {
+    throw new ToolError('INVALID_STATE', `Tab ${tabId} is a popup window and cannot be ${action} within the group`, {
+      details: { tabId, popup: true }
+    });
+  }
+}
+
+/**
+ * Move a tab to another position within the group
+ * index counts from the group's first tab; -1 (or past the end) moves it last
+ */
+export async function handleTabsMove(args, context = {}) {
+  await assertNotPopup(args.tabId, context.sessionId, 'moved');
+  const groupId = await getMcpGroupId(context.sessionId);
+
+  const groupTabs = (await chrome.tabs.query({ groupId })).sort((a, b) => a.index - b.index);
+  const others = groupTabs.filter(t => t.id !== args.tabId);
+  const position = args.index < 0 || args.index >= others.length ? others.length : args.index;
+
+  // Chrome indexes are window-wide; the group's tabs are contiguous, so offset from its first tab
+  const moved = await chrome.tabs.move(args.tabId, { index: groupTabs[0].index + position });
+
+  // A move to the group's edge can drop the tab out of it
+  await chrome.tabs.group({ tabIds: [args.tabId], groupId });
+
+  return { success: true, tabId: args.tabId, index: position, windowIndex: moved.index };
+}
+
+/**
+ * List the tabs the user may share with tabs_adopt: web pages in normal windows
+ * that no session manages
+ */
+async function listAdoptionCandidates() {
+  const managed = Object.values(await getManagedGroups());
+  const managedGroupIds = managed.map(record => record.groupId);
+  const managedTabIds = managed.flatMap(record => record.popupTabIds);
+
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  return tabs
+    .filter(tab => /^https?:/.test(tab.url || '')
+      && !managedGroupIds.includes(tab.groupId)
+      && !managedTabIds.includes(tab.id))
+    .map(tab => ({ id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl || null }));
+}
+
+/**
+ * Ask the user to share one of their open tabs, and move it into the session's group
+ * The choice is made in the options page (a notification links to it)
+ */
+export async function handleTabsAdopt(args, context = {}) {
+  const { sessionId } = context;
+
+  const candidates = await listAdoptionCandidates();
+  if (candidates.length === 0) {
+    throw new ToolError('NOT_FOUND', 'There are no open web pages outside the managed tab groups to adopt');
+  }
+
+  const request = await createAdoptionRequest({ sessionId, reason: args.reason, candidates });
+  await notifyAdoptionRequested(request);
+
+  context.setPhase?.('user_choice');
+  const settings = await getSettings();
+  let answer;
+  try {
+    answer = await waitForAdoptionAnswer(request.id, {
+      timeoutMs: settings.approval_timeout_seconds * 1000,
+      signal: context.signal
+    });
+  } finally {
+    await clearAdoptionRequest(request.id);
+  }
+
+  if (answer.status !== ADOPTION_STATUS.CHOSEN) {
+    const decision = answer.status === ADOPTION_STATUS.PENDING ? 'timeout' : answer.status;
+    throw new ToolError('APPROVAL_DENIED', decision === 'timeout'
+      ? 'The user did not choose a tab to share in time'
+      : 'The user declined to share a tab', { details: { action: 'tabs_adopt', decision } });
+  }
+
+  context.setPhase?.('adopt');
+  const groupId = await ensureSessionGroup(context);
+  const tab = await chrome.tabs.get(answer.tabId);
+  const { windowId } = await chrome.tabGroups.get(groupId);
+
+  await rememberTabOrigin(tab.id, { windowId: tab.windowId, index: tab.index });
+  if (tab.windowId !== windowId) {
+    await chrome.tabs.move(tab.id, { windowId, index: -1 });
+  }
+  await chrome.tabs.group({ tabIds: [tab.id], groupId });
+  await addManagedTabs(sessionId, [tab.id]);
+
+  return { success: true, tab: describeTab(await chrome.tabs.get(tab.id)), groupId };
+}
+
+/**
+ * Take a tab out of the session's group and hand it back to the user
+ * An adopted tab returns to the window it was taken from, if that is still open
  */
-export async function validateTabInGroup(tabId) {
+export async function handleTabsRelease(args, context = {}) {
+  const restored = await releaseTab(args.tabId, context.sessionId);
+  return { success: true, releasedTabId: args.tabId, returnedToOriginalWindow: restored };
+}
+
+/**
+ * Validate that a tab is in the calling session's group
+ * Tabs of other sessions' groups are refused like any other tab
+ */
+export async function validateTabInGroup(tabId, sessionId = null) {
   try {
     const tab = await chrome.tabs.get(tabId);
 
@@ -131,17 +355,7 @@ export async function validateTabInGroup(tabId) {
       return false;
     }
 
-    // If no group exists in cache, try to find it by name
-    if (!mcpGroupId) {
-      const { name } = await getTabGroupSettings();
-      const groups = await chrome.tabGroups.query({ title: name });
-      if (groups.length === 0) {
-        return false;
-      }
-      mcpGroupId = groups[0].id;
-    }
-
-    return tab.groupId === mcpGroupId;
+    return await isTabInManagedGroup(tab, sessionId);
   } catch (error) {
     // Tab doesn't exist
     return false;
@@ -149,15 +363,111 @@ export async function validateTabInGroup(tabId) {
 }
 
 /**
- * Get cached group ID
+ * Get a session's group ID (the default group's without a session), or null
  */
-export function getMcpGroupId() {
-  return mcpGroupId;
+export async function getMcpGroupId(sessionId = null) {
+  const record = await getManagedGroup(sessionId);
+  return record?.groupId ?? null;
 }
 
 /**
- * Clear cached group ID
+ * Stop tracking a session's group
  */
-export function clearMcpGroupId() {
-  mcpGroupId = null;
+export async function clearMcpGroupId(sessionId = null) {
+  await removeManagedGroup(sessionId);
 }
+
+registerTool({
+  name: 'tabs_context_mcp',
+  description: 'Get the managed tab group of this session and its tabs',
+  properties: {
+    createIfEmpty: { type: 'boolean', description: 'Create the group if it does not exist' }
+  },
+  handler: handleTabsContext,
+  permission: 'tabs'
+});
+
+registerTool({
+  name: 'tabs_create_mcp',
+  description: 'Open a new tab in the managed group, optionally loading a URL in the background',
+  properties: {
+    url: { type: 'string', description: 'Page to load; the call returns without waiting for it' },
+    active: { type: 'boolean', description: 'Make the new tab active (default true)' }
+  },
+  handler: handleTabsCreate,
+  permission: 'tabs',
+  targetsUrl: true
+});
+
+registerTool({
+  name: 'tabs_close',
+  description: 'Close a tab of the managed group',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId
+  },
+  required: ['tabId'],
+  handler: handleTabsClose,
+  permission: 'tabs',
+  // Works on any page, so a tab on a refused domain can still be closed or arranged
+  checksTabUrl: false
+});
+
+registerTool({
+  name: 'tabs_activate',
+  description: 'Make a tab of the managed group the active tab of its window',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId
+  },
+  required: ['tabId'],
+  handler: handleTabsActivate,
+  permission: 'tabs',
+  checksTabUrl: false
+});
+
+registerTool({
+  name: 'tabs_duplicate',
+  description: 'Duplicate a tab of the managed group into the group',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId
+  },
+  required: ['tabId'],
+  handler: handleTabsDuplicate,
+  permission: 'tabs'
+});
+
+registerTool({
+  name: 'tabs_adopt',
+  description: 'Ask the user to share one of their open tabs and add it to the managed group',
+  properties: {
+    reason: { type: 'string', description: 'Why a tab is needed, shown to the user' }
+  },
+  handler: handleTabsAdopt,
+  permission: 'tabs',
+  timeoutMs: USER_DECISION_TOOL_TIMEOUT_MS
+});
+
+registerTool({
+  name: 'tabs_release',
+  description: 'Remove a tab from the managed group and hand it back to the user',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId
+  },
+  required: ['tabId'],
+  handler: handleTabsRelease,
+  permission: 'tabs',
+  // Handing back a tab on a refused domain is when releasing matters most
+  checksTabUrl: false
+});
+
+registerTool({
+  name: 'tabs_move',
+  description: 'Move a tab to another position within the managed group',
+  properties: {
+    tabId: COMMON_SCHEMAS.tabId,
+    index: { type: 'integer', minimum: -1, description: 'Position within the group, 0 first; -1 moves it last' }
+  },
+  required: ['tabId', 'index'],
+  handler: handleTabsMove,
+  permission: 'tabs',
+  checksTabUrl: false
+});